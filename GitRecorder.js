@@ -0,0 +1,45 @@
+var q = require('q');
+/**
+ * Create a git executor (see the Release createRelease gitExecutor option) that records the git commands a release runs, e.g. to
+ * test release scripts without touching a git repository:
+ * <pre>
+ * var recorder = createGitRecorder({responses: {'rev-parse --verify HEAD': 'aaaaaaa', 'rev-parse --abbrev-ref HEAD': 'master'}}),
+ *     release = require('node-release').createRelease({gitExecutor: recorder});
+ * ... release.perform(config) ...
+ * recorder.commands; // ['git status --porcelain', 'git rev-parse --verify HEAD', ...]
+ * </pre>
+ * @param {object}   options             - optional recorder options
+ * @param {object}   options.responses   - optional responses by command (command array joined with spaces, e.g. 'tag -l'): stdout strings,
+ *                                         errors to reject with, or functions that are supplied the command array and working directory
+ *                                         and return either (or a promise)
+ * @param {function} options.gitExecutor - optional git executor to run commands without a response with (such commands resolve with
+ *                                         empty stdout otherwise)
+ * @return {function} git executor with a "calls" array of recorded {command, cwd} objects and a "commands" array of recorded
+ *                    'git ...' command strings
+ */
+var createGitRecorder = function(options){
+    options = options || {};
+    var responses = options.responses || {},
+        recorder = function(commands,workingDirectory){
+            var key = commands.join(' '),
+                response = responses[key];
+            recorder.calls.push({command: commands, cwd: workingDirectory});
+            recorder.commands.push('git ' + key);
+            if(typeof(response) === 'function'){
+                response = response(commands,workingDirectory);
+            }
+            return q(response).then(function(stdout){
+                if(stdout instanceof Error){
+                    throw stdout;
+                }
+                if(stdout === undefined && options.gitExecutor){
+                    return options.gitExecutor(commands,workingDirectory);
+                }
+                return {stdout: stdout === undefined ? '' : stdout, stderr: ''};
+            });
+        };
+    recorder.calls = [];
+    recorder.commands = [];
+    return recorder;
+};
+module.exports = createGitRecorder;
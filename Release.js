@@ -1,429 +1,4287 @@
 var q = require('q'),
     execFile = require('child_process').execFile,
+    execFileSync = require('child_process').execFileSync,
     spawn = require('child_process').spawn,
+    EventEmitter = require('events').EventEmitter,
     semver = require('semver'),
     fs = require('fs-extra'),
+    os = require('os'),
+    path = require('path'),
+    http = require('http'),
+    https = require('https'),
+    parseUrl = require('url').parse,
     minimist = require('minimist');
 /**
- * A Release utility for node projects that
+ * Levels of log messages, least severe first
+ */
+var logLevels = ['debug','info','warn','error'];
+/**
+ * Logger that writes messages to the console, prefixed with [release]; debug and info messages go to stdout, warnings and errors to stderr
+ */
+var consoleLogger = {
+    debug: function(message){
+        console.log('[release] ' + message);
+    },
+    info: function(message){
+        console.log('[release] ' + message);
+    },
+    warn: function(message){
+        console.error('[release] ' + message);
+    },
+    error: function(message){
+        console.error('[release] ' + message);
+    }
+};
+/**
+ * Run a git command by spawning a process; the default git executor of release instances
+ * Promise will reject on a non-zero git exit code with an error that has an exitCode property
+ * @param {array} commands - command array (e.g. ['commit','-m','message'])
+ * @param {string} workingDirectory - working directory to launch git on
+ * @return {object} promise that resolves to an object containing stdout and stderr
+ */
+var execGit = function(commands, workingDirectory){
+    return new q.Promise(function(resolve,reject){
+        var gitProc = execFile('git',commands,{cwd:workingDirectory,timeout:30000}, function(error,stdout,stderr){
+            if(error !== null){
+                var gitError = new Error('Could not execute git ' + commands.join(' ') +
+                    ' (exit code ' + gitProc.exitCode+'); stdout:\n' + stdout + '\nstderr:\n' + stderr);
+                gitError.exitCode = gitProc.exitCode;
+                reject(gitError);
+                return;
+            }
+            resolve({
+                stdout: stdout,
+                stderr: stderr
+            });
+        });
+    });
+};
+/**
+ * Run an npm command by spawning a process; the default npm executor of release instances
+ * Promise will reject on a non-zero npm exit code
+ * @param {array} commands - command array (e.g. ['publish','project-1.0.0.tgz'])
+ * @param {string} workingDirectory - working directory to launch npm on
+ * @return {object} promise that resolves to an object containing stdout and stderr
+ */
+var execNpm = function(commands, workingDirectory){
+    return new q.Promise(function(resolve,reject){
+        var npmProc = execFile('npm',commands,{cwd:workingDirectory,timeout:120000}, function(error,stdout,stderr){
+            if(error !== null){
+                reject(new Error('Could not execute npm ' + commands.join(' ') +
+                    ' (exit code ' + npmProc.exitCode+'); stdout:\n' + stdout + '\nstderr:\n' + stderr));
+                return;
+            }
+            resolve({
+                stdout: stdout,
+                stderr: stderr
+            });
+        });
+    });
+};
+/**
+ * Error a release rejects with when it is aborted through the AbortSignal of its configuration (see the perform signal option);
+ * the release has been rolled back by then
+ * @param {string} message - optional error message
+ * @constructor
+ */
+var ReleaseAbortedError = function(message){
+    Error.call(this);
+    if(Error.captureStackTrace){
+        Error.captureStackTrace(this,ReleaseAbortedError);
+    }
+    this.name = 'ReleaseAbortedError';
+    this.message = message || 'Release aborted';
+    this.code = 'RELEASE_ABORTED';
+};
+ReleaseAbortedError.prototype = Object.create(Error.prototype);
+ReleaseAbortedError.prototype.constructor = ReleaseAbortedError;
+/**
+ * Create a Release utility instance for node projects that
  * - use npm and thus have a project.json file
  * - use git
- * - use semver versioning (e.g. 1.0.0) with SNAPSHOT dev versions (e.g. 1.0.0-SNAPSHOT)
+ * - use semver versioning (e.g. 1.0.0) with SNAPSHOT dev versions (e.g. 1.0.0-SNAPSHOT), plain versions or prerelease channels
+ * Instances do not share any state (log level, event emitter, git and npm executors), so several can be used side by side; the module
+ * exports a default instance
+ * @param {object}   options             - optional instance options
+ * @param {object}   options.logger      - optional logger with debug, info, warn and error functions that are supplied a message
+ *                                         (messages are written to the console by default)
+ * @param {string}   options.logLevel    - optional least severe level of messages to log: debug, info (default), warn or error;
+ *                                         a release configured with the debug flag logs debug messages
+ * @param {function} options.gitExecutor - optional function that is supplied a git command array and working directory and
+ *                                         returns a promise that resolves to an object containing stdout and stderr
+ *                                         (or rejects with an error, optionally with an exitCode property); runs git by default
+ * @param {function} options.npmExecutor - optional function that is supplied an npm command array and working directory and
+ *                                         returns a promise that resolves to an object containing stdout and stderr
+ *                                         (or rejects with an error); runs npm by default
+ * @param {string}   options.cwd         - optional default projectPath of perform, resume and abort configurations
+ * @return {object} Release instance
  */
-var Release = {
-    /**
-     * Run a git command by spawning a process; return an object containing stdout,stderr, and exitCode
-     * Promise will reject on a non-zero git exit code
-     * @param {array} commands - command array (e.g. ['commit','-m','message'])
-     * @param {string} workingDirectory - working directory to launch git on
-     * @retrun {object} promise that resolves to an object containing stdout,stderr, and exitCode
-     */
-    git: function(commands, workingDirectory){
-        return new q.Promise(function(resolve,reject){
-            var gitProc = execFile('git',commands,{cwd:workingDirectory,timeout:30000}, function(error,stdout,stderr){
-                if(error !== null){
-                    reject(new Error('Could not execute git ' + commands.join(' ') +
-                        ' (exit code ' + gitProc.exitCode+'); stdout:\n' + stdout + '\nstderr:\n' + stderr));
+var createRelease = function(options){
+    options = options || {};
+    var Release = {
+        /**
+         * Instance event emitter; emits a "git" event with the command, cwd, exitCode and duration (ms) of every git command run
+         * (releases forward these to their own event emitter, see Release.perform)
+         */
+        events: new EventEmitter(),
+        /**
+         * Names of the progress events a release emits (see Release.perform)
+         */
+        eventNames: ['step:start','step:end','git','rollback','done'],
+        /**
+         * Error class of aborted releases (see Release.perform)
+         */
+        ReleaseAbortedError: ReleaseAbortedError,
+        /**
+         * Throw a ReleaseAbortedError if an AbortSignal has been aborted
+         * @param {object} signal - optional AbortSignal
+         */
+        checkAborted: function(signal){
+            if(signal && signal.aborted){
+                throw new ReleaseAbortedError();
+            }
+        },
+        /**
+         * Git executor git commands are run with (see createRelease options)
+         */
+        gitExecutor: options.gitExecutor || execGit,
+        /**
+         * Npm executor npm commands are run with (see createRelease options)
+         */
+        npmExecutor: options.npmExecutor || execNpm,
+        /**
+         * Logger log messages are written to (see createRelease options)
+         */
+        logger: options.logger || consoleLogger,
+        /**
+         * Least severe level of messages to log (see createRelease options)
+         */
+        logLevel: options.logLevel || 'info',
+        /**
+         * Deprecated flag that logs debug messages whatever the log level (use the logLevel option or the debug configuration flag)
+         */
+        debugEnabled: false,
+        /**
+         * Default projectPath of release configurations (see createRelease options)
+         */
+        cwd: options.cwd,
+        /**
+         * Create another, isolated Release instance (see createRelease)
+         */
+        createRelease: createRelease,
+        /**
+         * Run a git command with the git executor; return an object containing stdout and stderr
+         * Promise will reject on a non-zero git exit code
+         * @param {array} commands - command array (e.g. ['commit','-m','message'])
+         * @param {string} workingDirectory - working directory to launch git on
+         * @return {object} promise that resolves to an object containing stdout and stderr
+         */
+        git: function(commands, workingDirectory){
+            var startTime = new Date().getTime(),
+                emitGitEvent = function(exitCode){
+                    Release.events.emit('git',{
+                        command: commands,
+                        cwd: workingDirectory,
+                        exitCode: exitCode,
+                        duration: new Date().getTime() - startTime
+                    });
+                };
+            return q(Release.gitExecutor(commands,workingDirectory)).then(function(result){
+                emitGitEvent(0);
+                return result;
+            },function(error){
+                emitGitEvent(error.exitCode !== undefined ? error.exitCode : null);
+                throw error;
+            });
+        },
+        /**
+         * Number of lines at the end of a build log included in build failure errors
+         */
+        buildLogLines: 20,
+        /**
+         * Returns a promise that runs a shell command and resolves once it exits successfully
+         * @param {string} command - shell command (e.g. "npm run build -- --out 'dist dir'")
+         * @param {object} options - optional options
+         * @param {string} options.cwd - working directory of the command
+         * @param {object} options.env - environment variables to add to the process environment
+         * @param {number} options.timeout - time (ms) after which the command is killed and the promise rejects
+         * @param {string} options.logFile - file to append command output to; the end of the file is included in failure errors
+         *                                   (output is logged at info level otherwise)
+         * @param {object} options.signal - AbortSignal that kills the command and rejects the promise with a ReleaseAbortedError
+         * @return {object} promise that resolves after the command succeeded or rejects with an error if it could not be run, timed out,
+         *                  was aborted or exited with a non-zero exit code
+         */
+        runCommand: function(command,options){
+            Release.debug("#runCommand:enter ("+command+")");
+            options = options || {};
+            return new q.Promise(function(resolve,reject){
+                var env = {},
+                    logStream = options.logFile ? fs.createWriteStream(options.logFile,{flags: 'a'}) : null,
+                    settled = false,
+                    timer,
+                    onAbort,
+                    proc;
+                [process.env,options.env || {}].forEach(function(source){
+                    Object.keys(source).forEach(function(key){
+                        env[key] = source[key];
+                    });
+                });
+                var finish = function(error){
+                    if(settled){
+                        return;
+                    }
+                    settled = true;
+                    clearTimeout(timer);
+                    if(onAbort){
+                        options.signal.removeEventListener('abort',onAbort);
+                    }
+                    var settle = function(){
+                        if(!error){
+                            resolve();
+                            return;
+                        }
+                        if(options.logFile){
+                            error.message += '\nlast lines of ' + options.logFile + ':\n' + Release.readLastLines(options.logFile,Release.buildLogLines);
+                        }
+                        reject(error);
+                    };
+                    if(logStream){
+                        logStream.end(settle);
+                    }else{
+                        settle();
+                    }
+                };
+                /* the command runs in its own process group so that it can be killed along with the processes it started */
+                proc = spawn(command,{shell: true, detached: true, cwd: options.cwd, env: env, stdio: ['ignore','pipe','pipe']});
+                ['stdout','stderr'].forEach(function(stream){
+                    proc[stream].on('data',function(dataBuffer){
+                        if(settled){
+                            return;
+                        }
+                        if(logStream){
+                            logStream.write(dataBuffer);
+                        }else if(dataBuffer.toString().trim() !== ''){
+                            Release.log('info',dataBuffer.toString().trim());
+                        }
+                    });
+                });
+                proc.on('error',function(error){
+                    finish(new Error('Could not run ' + command + ': ' + error.message));
+                });
+                proc.on('close',function(exitCode){
+                    if(exitCode !== 0){
+                        finish(new Error(command + ' failed with exit code ' + exitCode));
+                    }else{
+                        finish();
+                    }
+                });
+                var kill = function(error){
+                    try{
+                        process.kill(-proc.pid,'SIGTERM');
+                    }catch(e){
+                        proc.kill('SIGTERM');
+                    }
+                    /* processes that ignore SIGTERM would keep the output streams open */
+                    proc.stdout.destroy();
+                    proc.stderr.destroy();
+                    finish(error);
+                };
+                if(options.timeout){
+                    timer = setTimeout(function(){
+                        kill(new Error(command + ' timed out after ' + options.timeout + 'ms'));
+                    },options.timeout);
+                }
+                if(options.signal){
+                    onAbort = function(){
+                        kill(new ReleaseAbortedError('Release aborted; killed ' + command));
+                    };
+                    if(options.signal.aborted){
+                        onAbort();
+                    }else{
+                        options.signal.addEventListener('abort',onAbort);
+                    }
+                }
+            });
+        },
+        /**
+         * Read the last lines of a file
+         * @param {string} file - file path
+         * @param {number} count - number of lines
+         * @return {string} last lines of the file (without a trailing line break)
+         */
+        readLastLines: function(file,count){
+            var lines = fs.readFileSync(file,'utf8').replace(/\n$/,'').split('\n');
+            return lines.slice(-count).join('\n');
+        },
+        /**
+         * Environment variables supplied to build commands: RELEASE_VERSION, DEV_VERSION (next dev version) and RELEASE_TAG;
+         * for several released packages with different versions, "name version" pairs and all tag names (separated by spaces)
+         * @param {object} releaseInfo - release information (see Release.releaseInfo)
+         * @return {object} environment variables
+         */
+        buildEnv: function(releaseInfo){
+            var packages = releaseInfo.packages;
+            return {
+                RELEASE_VERSION: Release.describeVersions(packages,'releaseVersion'),
+                DEV_VERSION: Release.describeVersions(packages,'devVersion'),
+                RELEASE_TAG: packages.map(function(pkg){
+                    return pkg.tagName;
+                }).join(' ')
+            };
+        },
+        /**
+         * Create a build function (see Release.perform buildPromise) that runs shell commands one after another
+         * @param {array} commands - shell command or array of shell commands
+         * @param {object} options - optional cwd, timeout (per command) and logFile (see Release.runCommand)
+         * @return {function} function that is supplied release information and returns a promise that resolves after all commands succeeded
+         */
+        commandBuild: function(commands,options){
+            options = options || {};
+            return function(releaseInfo){
+                var env = Release.buildEnv(releaseInfo);
+                return [].concat(commands).reduce(function(previous,command){
+                    return previous.then(function(){
+                        Release.debug("#perform:running build command " + command);
+                        return Release.runCommand(command,{cwd: options.cwd, env: env, timeout: options.timeout, logFile: options.logFile,
+                            signal: options.signal});
+                    });
+                },q());
+            };
+        },
+        /**
+         * Build function of a release configuration: its buildPromise or a function running its build commands (see Release.commandBuild)
+         * @param {object} config - release configuration (see Release.perform)
+         * @return {function} function that is supplied release information and returns a build promise or status
+         */
+        buildFunction: function(config){
+            return config.buildPromise || Release.commandBuild(config.build,{
+                cwd: config.projectPath,
+                timeout: config.buildTimeout,
+                logFile: config.buildLog ? path.resolve(config.projectPath,config.buildLog) : undefined,
+                signal: config.signal
+            });
+        },
+        /**
+         * Run an npm command with the npm executor; return an object containing stdout and stderr
+         * Promise will reject on a non-zero npm exit code
+         * @param {array} commands - command array (e.g. ['publish','project-1.0.0.tgz'])
+         * @param {string} workingDirectory - working directory to launch npm on
+         * @return {object} promise that resolves to an object containing stdout and stderr
+         */
+        npm: function(commands, workingDirectory){
+            return q(Release.npmExecutor(commands,workingDirectory));
+        },
+        /**
+         * Log a message with the logger if its level is at least as severe as the log level
+         * @param {string} level - message level: debug, info, warn or error
+         * @param {string} message - message
+         */
+        log: function(level,message){
+            if(logLevels.indexOf(level) >= logLevels.indexOf(Release.debugEnabled ? 'debug' : Release.logLevel)){
+                Release.logger[level](message);
+            }
+        },
+        /**
+         * Log a debug message
+         * @param {string} message - message
+         */
+        debug: function(message){
+            Release.log('debug',message);
+        },
+        /**
+         * Log a warning
+         * @param {string} message - message
+         */
+        warn: function(message){
+            Release.log('warn',message);
+        },
+        /**
+         * Read current git commit and return a promise that resolves to this commit
+         * @param {string} projectRoot - node project root
+         * @return {object} promise that resolves to current git commit
+         */
+        readCurrentCommit: function(projectRoot){
+            Release.debug("#readCurrentCommit:enter ("+projectRoot+")");
+            return Release.git(['rev-parse', '--verify', 'HEAD'],projectRoot).then(function(result){
+                return new q.Promise(function(resolve,reject){
+                    var currentCommit = result.stdout.trim();
+                    if(currentCommit !== ''){
+                        resolve(currentCommit);
+                    }else{
+                        reject(new Error('Could not read current commit.'));
+                    }
+                });
+            }.bind(this));
+        },
+        /**
+         * Read current git branch and return a promise that resolves to the branch name
+         * @param {string} projectRoot - node project root
+         * @return {object} promise that resolves to current git branch name
+         */
+        readCurrentBranch: function(projectRoot){
+            Release.debug("#readCurrentBranch:enter ("+projectRoot+")");
+            return Release.git(['rev-parse','--abbrev-ref','HEAD'],projectRoot).then(function(result){
+                return new q.Promise(function(resolve,reject){
+                    var currentBranch = result.stdout.trim();
+                    if(currentBranch !== ''){
+                        resolve(currentBranch);
+                    }else{
+                        reject(new Error('Could not read current branch.'));
+                    }
+                });
+            });
+        },
+        /**
+         * Hard-revert projectRoot to a pre-release commit in case a release is botched and return a promise
+         * @param {string} projectRoot - node project root
+         * @param {string} commit - a pre-release commit to revert to
+         * @return {object} promise that resolves when revert is complete
+         */
+        reset: function(projectRoot,commit){
+            Release.debug("#reset:enter (" + projectRoot + "," + commit + ")");
+            return new q.Promise(function(resolve,reject){
+                if(!commit){
+                    Release.debug("#reset:no pre-release commit supplied");
+                    resolve();
+                }else{
+                    Release.git(['reset','--hard',commit],projectRoot).then(function(){
+                        Release.debug("#reset:reverted to pre-release commit "+commit);
+                        resolve();
+                    }).catch(function(error){
+                        reject(error);
+                    });
+                }
+            }.bind(this));
+        },
+        /**
+         * Delete a git tag by name
+         * @param {string} projectRoot - node project root
+         * @param {string} tagName - tag name to delete
+         * @return {object} promise that resolves when delete is complete
+         */
+        deleteTag: function(projectRoot,tagName){
+            Release.debug("#deleteTag:enter ("+projectRoot+","+tagName+")");
+            return new q.Promise(function(resolve,reject){
+                if(!tagName){
+                    Release.debug("#deleteTag:no tagName supplied");
+                    resolve();
+                }else{
+                    Release.git(['tag','-d',tagName],projectRoot).then(function(){
+                        Release.debug("#deleteTag:deleted tag "+tagName);
+                        resolve();
+                    }).catch(function(error){
+                        reject(error);
+                    });
+                }
+            });
+        },
+        /**
+         * Supported versioning schemes by name; each scheme describes the project versions it expects, validates a project version
+         * (returning an error message or null) and picks release and next dev versions:
+         * - snapshot:   dev versions are SNAPSHOTs (1.0.0-SNAPSHOT) of the version to release (1.0.0), followed by the next SNAPSHOT (1.0.1-SNAPSHOT)
+         * - semver:     the project version (1.0.0) is released as is, followed by the next version (1.0.1)
+         * - prerelease: the project version is released on the config.preid channel (2.0.0-beta.0, 2.0.0-beta.1, ...) until
+         *               config.graduate releases it without prerelease identifiers (2.0.0)
+         */
+        versionSchemes: {
+            snapshot: {
+                example: '1.0.0-SNAPSHOT',
+                check: function(version){
+                    if(semver.parse(version).prerelease.indexOf('SNAPSHOT') === -1){
+                        return 'Can not release non-SNAPSHOT version ' + version + ' with the snapshot versioning scheme; ' +
+                            'update package.json version prior to release (e.g. 1.0.0-SNAPSHOT)';
+                    }
+                    return null;
+                },
+                releaseVersion: function(version,bump){
+                    return semver.inc(version,bump);
+                },
+                nextDevVersion: function(releaseVersion,bump){
+                    return semver.inc(releaseVersion,bump) + '-SNAPSHOT';
+                }
+            },
+            semver: {
+                example: '1.0.0',
+                check: function(version){
+                    if(semver.parse(version).prerelease.indexOf('SNAPSHOT') !== -1){
+                        return 'Can not release SNAPSHOT version ' + version + ' with the semver versioning scheme; ' +
+                            'it releases the package.json version as is (e.g. 1.0.0)';
+                    }
+                    return null;
+                },
+                releaseVersion: function(version){
+                    return version;
+                },
+                nextDevVersion: function(releaseVersion,bump){
+                    return semver.inc(releaseVersion,bump);
+                }
+            },
+            prerelease: {
+                example: '2.0.0-beta.0',
+                check: function(version){
+                    if(semver.parse(version).prerelease.indexOf('SNAPSHOT') !== -1){
+                        return 'Can not release SNAPSHOT version ' + version + ' with the prerelease versioning scheme; ' +
+                            'it releases the package.json version on a prerelease channel (e.g. 2.0.0-beta.0)';
+                    }
+                    return null;
+                },
+                releaseVersion: function(version,bump,config){
+                    var parsed = semver.parse(version);
+                    if(config.graduate){
+                        return parsed.major + '.' + parsed.minor + '.' + parsed.patch;
+                    }
+                    if(parsed.prerelease[0] === config.preid){
+                        return version;
+                    }
+                    return semver.inc(version,parsed.prerelease.length ? 'prerelease' : 'pre' + bump,config.preid);
+                },
+                nextDevVersion: function(releaseVersion,bump,config){
+                    if(!config.preid){
+                        return semver.inc(releaseVersion,bump);
+                    }
+                    return semver.inc(releaseVersion,'prerelease',config.preid);
+                }
+            }
+        },
+        /**
+         * Returns the versioning scheme of a release configuration
+         * @param {object} config - release configuration (see Release.perform)
+         * @return {object} versioning scheme (see Release.versionSchemes)
+         */
+        versionScheme: function(config){
+            return Release.versionSchemes[config.scheme || 'snapshot'];
+        },
+        /**
+         * Pick the next dev version of a released package
+         * @param {object} config - release configuration (see Release.perform)
+         * @param {object} pkg - released package with a releaseVersion and bump
+         * @return {string} configured next dev version or the one picked by the versioning scheme
+         */
+        pickNextDevVersion: function(config,pkg){
+            return config.nextDevVersion || Release.versionScheme(config).nextDevVersion(pkg.releaseVersion,pkg.bump,config);
+        },
+        /**
+         * Verifies that a project version is a valid semver version of the expected versioning scheme; returns a promise that resolves to
+         * the current name and version if it is
+         * @param {string} projectRoot - project root
+         * @param {string} schemeName - versioning scheme name (see Release.versionSchemes; snapshot by default)
+         * @return {object} promise that resolves to current name and version if the project version fits the versioning scheme
+         */
+        checkVersion: function(projectRoot,schemeName){
+            Release.debug("#checkVersion:enter ("+projectRoot+","+schemeName+")");
+            return q.Promise(function(resolve,reject){
+                var packageJSON = fs.readJsonSync(projectRoot+'/package.json'),
+                    name = packageJSON.name,
+                    version = packageJSON.version,
+                    scheme = Release.versionSchemes[schemeName || 'snapshot'],
+                    problem;
+                if(typeof(version) !== 'string' || !semver.valid(version)){
+                    reject(new Error('Project version ' + version + ' is not a valid semver version; the ' + (schemeName || 'snapshot') +
+                        ' versioning scheme expects versions such as ' + scheme.example));
+                    return;
+                }
+                problem = scheme.check(version);
+                if(problem){
+                    reject(new Error(problem));
                     return;
                 }
                 resolve({
-                    stdout: stdout,
-                    stderr: stderr
+                    name: name,
+                    version: version
+                });
+            });
+        },
+        /**
+         * Returns a promise that resolves only if there are uncommitted changes
+         * @param {string} projectRoot - project root
+         * @return {object} promise that resolves only if there are uncommited changes
+         */
+        checkUncommitted: function(projectRoot){
+            Release.debug("#checkUncommitted:enter ("+projectRoot+")");
+            return Release.git(['status','--porcelain'],projectRoot).then(function(result){
+                return new q.Promise(function(resolve,reject){
+                    if(result.stdout.length > 0){
+                        reject(new Error('Outstanding git changes present; commit all changes prior to running a release:\n'+result.stdout));
+                    }else{
+                        resolve();
+                    }
+                });
+            });
+        },
+        /**
+         * Lockfiles whose root version fields follow the project version
+         */
+        lockFiles: ['package-lock.json','npm-shrinkwrap.json'],
+        /**
+         * Update a JSON file in place, keeping its indentation, line endings and trailing newline
+         * @param {string} file - JSON file path
+         * @param {function} update - function that is supplied the parsed JSON to modify and returns false if nothing changed
+         * @return {boolean} true if the file was rewritten
+         */
+        updateJsonFile: function(file,update){
+            var text = fs.readFileSync(file,'utf8'),
+                data = JSON.parse(text),
+                indent = /^[{\[][\r\n]+([ \t]+)/.exec(text),
+                newline = text.indexOf('\r\n') !== -1 ? '\r\n' : '\n';
+            if(update(data) === false){
+                return false;
+            }
+            var json = JSON.stringify(data,null,indent ? indent[1] : 2).replace(/\n/g,newline);
+            fs.writeFileSync(file,json + (/\r?\n$/.test(text) ? newline : ''));
+            return true;
+        },
+        /**
+         * Read the value at a JSON path
+         * @param {object} data - parsed JSON
+         * @param {array} path - property names leading to the value (e.g. ['packages','','version'])
+         * @return {*} value, or undefined if the path does not exist
+         */
+        getJsonValue: function(data,path){
+            var value = data;
+            for(var i=0; i<path.length; i++){
+                value = value !== null && typeof(value) === 'object' ? value[path[i]] : undefined;
+            }
+            return value;
+        },
+        /**
+         * Set a value at a JSON path if the path exists
+         * @param {object} data - parsed JSON
+         * @param {array} path - property names leading to the value (e.g. ['packages','','version'])
+         * @param {string} value - new value
+         * @return {boolean} true if the value changed
+         */
+        setJsonValue: function(data,path,value){
+            var parent = Release.getJsonValue(data,path.slice(0,-1));
+            if(parent === null || typeof(parent) !== 'object' || parent[path[path.length-1]] === undefined ||
+                parent[path[path.length-1]] === value){
+                return false;
+            }
+            parent[path[path.length-1]] = value;
+            return true;
+        },
+        /**
+         * Returns a promise that updates project version to supplied new version in package.json and the root version fields
+         * of any lockfiles (see Release.lockFiles) and resolves; file formatting is kept
+         * @param {string} projectRoot - project root
+         * @param {string} newVersion - new version project version
+         * @return {object} promise that resolves after updating project version
+         */
+        updateVersion: function(projectRoot,newVersion){
+            Release.debug("#updateVersion:enter ("+projectRoot+","+newVersion+")");
+            return new q.Promise(function(resolve,reject){
+                Release.updateJsonFile(projectRoot+'/package.json',function(packageJSON){
+                    packageJSON.version = newVersion;
+                });
+                Release.lockFiles.forEach(function(lockFile){
+                    if(fs.existsSync(projectRoot+'/'+lockFile)){
+                        Release.updateJsonFile(projectRoot+'/'+lockFile,function(lock){
+                            var versionChanged = Release.setJsonValue(lock,['version'],newVersion),
+                                rootPackageChanged = Release.setJsonValue(lock,['packages','','version'],newVersion);
+                            return versionChanged || rootPackageChanged;
+                        });
+                    }
+                });
+                resolve();
+            });
+        },
+        /**
+         * Returns a promise that updates the version in additional files
+         * @param {string} projectRoot - project root
+         * @param {array} versionFiles - files (relative to project root) as objects with a path and either a pattern (regular expression source
+         *                               whose first capture group is the version, e.g. "VERSION = '([^']+)'") or a jsonPath (e.g. "meta.version")
+         * @param {string} newVersion - new version
+         * @return {object} promise that resolves after updating all files or rejects if a file has no version at its pattern or jsonPath
+         */
+        updateVersionFiles: function(projectRoot,versionFiles,newVersion){
+            Release.debug("#updateVersionFiles:enter ("+projectRoot+","+newVersion+")");
+            return new q.Promise(function(resolve,reject){
+                (versionFiles || []).forEach(function(versionFile){
+                    var file = projectRoot+'/'+versionFile.path;
+                    if(versionFile.jsonPath){
+                        var jsonPath = Array.isArray(versionFile.jsonPath) ? versionFile.jsonPath : versionFile.jsonPath.split('.');
+                        Release.updateJsonFile(file,function(data){
+                            if(Release.getJsonValue(data,jsonPath) === undefined){
+                                throw new Error('Could not find version jsonPath ' + jsonPath.join('.') + ' in ' + versionFile.path);
+                            }
+                            return Release.setJsonValue(data,jsonPath,newVersion);
+                        });
+                        return;
+                    }
+                    var text = fs.readFileSync(file,'utf8'),
+                        match = new RegExp(versionFile.pattern).exec(text);
+                    if(!match || match[1] === undefined){
+                        throw new Error('Could not find version pattern ' + versionFile.pattern + ' in ' + versionFile.path);
+                    }
+                    var versionStart = match.index + match[0].indexOf(match[1]);
+                    fs.writeFileSync(file,text.slice(0,versionStart) + newVersion + text.slice(versionStart + match[1].length));
+                });
+                resolve();
+            });
+        },
+        /**
+         * Returns a promise that stages files (e.g. newly created ones) for the next commit
+         * @param {string} projectRoot - project root
+         * @param {array} files - file paths relative to project root
+         * @return {object} promise that resolves after files are staged
+         */
+        stage: function(projectRoot,files){
+            Release.debug("#stage:enter ("+projectRoot+","+files+")");
+            return Release.git(['add','--'].concat(files),projectRoot);
+        },
+        /**
+         * Returns a promise that performs a commit and resolves on success
+         * @param {string} projectRoot - project root
+         * @param {string} message - commit message
+         * @param {array} files - optional file paths relative to project root to commit (package.json by default)
+         * @param {boolean} sign - optional flag that GPG-signs the commit with the user's signing key
+         * @return {object} promise that resolves after successful commit
+         */
+        commit: function(projectRoot,message,files,sign){
+            Release.debug("#commit:enter ("+projectRoot+","+message+","+files+","+sign+")");
+            return Release.git(['commit'].concat(sign ? ['-S'] : []).concat(files || ['package.json']).concat(['-m',message]),projectRoot);
+        },
+        /**
+         * Returns a promise that checks out a branch, creating it at a start point if one is supplied
+         * @param {string} projectRoot - project root
+         * @param {string} branch - branch name
+         * @param {string} startPoint - optional commit, tag or remote branch to create the branch at
+         * @return {object} promise that resolves after the checkout
+         */
+        checkout: function(projectRoot,branch,startPoint){
+            Release.debug("#checkout:enter ("+projectRoot+","+branch+","+startPoint+")");
+            return Release.git(startPoint ? ['checkout','-q','-b',branch,startPoint] : ['checkout','-q',branch],projectRoot);
+        },
+        /**
+         * Returns a promise that merges a ref into the current branch with a merge commit; a failed merge (e.g. due to conflicts) is aborted
+         * @param {string} projectRoot - project root
+         * @param {string} ref - branch or tag to merge
+         * @param {boolean} sign - optional flag that GPG-signs the merge commit with the user's signing key
+         * @return {object} promise that resolves after the merge
+         */
+        merge: function(projectRoot,ref,sign){
+            Release.debug("#merge:enter ("+projectRoot+","+ref+","+sign+")");
+            return Release.git(['merge','--no-ff','--no-edit'].concat(sign ? ['-S'] : []).concat([ref]),projectRoot).catch(function(error){
+                return Release.git(['merge','--abort'],projectRoot).catch(function(){}).then(function(){
+                    throw error;
+                });
+            });
+        },
+        /**
+         * Returns a promise that resolves to whether a ref (e.g. refs/heads/master) exists
+         * @param {string} projectRoot - project root
+         * @param {string} ref - full ref name
+         * @return {object} promise that resolves to true if the ref exists
+         */
+        refExists: function(projectRoot,ref){
+            return Release.git(['rev-parse','--verify','--quiet',ref],projectRoot).then(function(result){
+                return result.stdout.trim() !== '';
+            },function(){
+                return false;
+            });
+        },
+        /**
+         * Returns a promise that tags current repository at HEAD and resolves to tag name on success
+         * @param {string} projectRoot - project root
+         * @param {string} message - release message
+         * @param {string} version - tag name/version
+         * @param {boolean} sign - optional flag that creates a GPG-signed tag with the user's signing key
+         * @return {object} promise that resolves to tag name after successful tag
+         */
+        tag: function(projectRoot,message,version,sign){
+            Release.debug("#tag:enter ("+projectRoot+","+message+","+version+","+sign+")");
+            return Release.git(['tag',sign ? '-s' : '-a','-m',message, version], projectRoot).then(function(result){
+                return version;
+            });
+        },
+        /**
+         * Returns a promise that pushes a ref to a remote git repo
+         * @param {string} projectRoot - project root
+         * @param {string} remote - remote name (e.g. origin)
+         * @param {string} ref - ref to push (e.g. master, 1.0.0)
+         * @return {object} promise that resolves after successful push
+         */
+        push: function(projectRoot,remote,ref){
+            Release.debug("#push:enter ("+projectRoot+","+remote+","+ref+")");
+            return Release.git(['push',remote,ref],projectRoot);
+        },
+        /**
+         * Returns a promise that pushes several refs to a remote git repo in a single atomic push (either all refs are updated or none)
+         * @param {string} projectRoot - project root
+         * @param {string} remote - remote name (e.g. origin)
+         * @param {array} refs - refs to push (e.g. ['project-1.0.0','master'])
+         * @return {object} promise that resolves after successful push
+         */
+        pushAtomic: function(projectRoot,remote,refs){
+            Release.debug("#pushAtomic:enter ("+projectRoot+","+remote+","+refs+")");
+            return Release.git(['push','--atomic',remote].concat(refs),projectRoot);
+        },
+        /**
+         * Determine whether a push failed only because the remote does not support atomic pushes
+         * @param {object} error - push error
+         * @return {boolean} true if refs should be pushed one by one instead
+         */
+        isAtomicPushUnsupported: function(error){
+            return /does not support --atomic/.test(error && error.message);
+        },
+        /**
+         * Returns a promise that undoes a ref pushed by a release: a pushed tag is deleted from the remote,
+         * a pushed branch is force-pushed back to its pre-release commit (only if nobody pushed on top of it since) and
+         * a pushed notes ref is force-pushed back to its previous commit (or deleted if there was none)
+         * @param {string} projectRoot - project root
+         * @param {string} remote - remote name (e.g. origin)
+         * @param {object} pushedRef - pushed ref as an object with a type ('tag', 'branch' or 'notes'), a name and, for notes refs,
+         *                             the pushed commit and the previous commit of the ref (null if it did not exist)
+         * @param {string} preReleaseCommit - commit a pushed branch pointed to before the release
+         * @return {object} promise that resolves after the remote ref is restored
+         */
+        undoPush: function(projectRoot,remote,pushedRef,preReleaseCommit){
+            Release.debug("#undoPush:enter ("+projectRoot+","+remote+","+pushedRef.type+" "+pushedRef.name+","+preReleaseCommit+")");
+            if(pushedRef.type === 'tag'){
+                return Release.git(['push',remote,':refs/tags/'+pushedRef.name],projectRoot);
+            }
+            if(pushedRef.type === 'notes'){
+                return Release.git(['push','--force-with-lease='+pushedRef.name+':'+pushedRef.commit,remote,(pushedRef.previous || '')+':'+pushedRef.name],projectRoot);
+            }
+            return Release.git(['push','--force-with-lease=refs/heads/'+pushedRef.name,remote,
+                preReleaseCommit+':refs/heads/'+pushedRef.name],projectRoot);
+        },
+        /**
+         * Remote ref a release of a branch claims as its lock (see Release.lock)
+         * @param {string} branch - branch name
+         * @return {string} lock ref name (e.g. refs/release-lock/master)
+         */
+        lockRef: function(branch){
+            return 'refs/release-lock/' + branch;
+        },
+        /**
+         * Default owner recorded in release locks: user, host and process id
+         * @return {string} lock owner (e.g. jenkins@ci-1 (pid 4242))
+         */
+        lockOwner: function(){
+            return (process.env.USER || process.env.USERNAME || 'unknown') + '@' + os.hostname() + ' (pid ' + process.pid + ')';
+        },
+        /**
+         * Returns a promise that claims the release lock of a branch by pushing a commit recording the owner and start time to the
+         * lock ref (see Release.lockRef); the push only succeeds if the remote has no lock ref, so only one of several concurrent
+         * releases can claim it
+         * @param {string} projectRoot - project root
+         * @param {string} remote - remote name (e.g. origin)
+         * @param {string} branch - branch to lock
+         * @param {string} owner - lock owner (see Release.lockOwner)
+         * @return {object} promise that resolves to the lock (ref, commit, owner and startTime) or rejects with a RELEASE_LOCKED
+         *                  error if another release holds the lock
+         */
+        lock: function(projectRoot,remote,branch,owner){
+            Release.debug("#lock:enter ("+projectRoot+","+remote+","+branch+","+owner+")");
+            var lockRef = Release.lockRef(branch),
+                startTime = new Date().toISOString();
+            return Release.git(['hash-object','-w','-t','tree','/dev/null'],projectRoot).then(function(result){
+                return Release.git(['commit-tree',result.stdout.trim(),'-m',JSON.stringify({owner: owner, startTime: startTime})],projectRoot);
+            }).then(function(result){
+                var commit = result.stdout.trim();
+                /* an empty lease value requires the lock ref to not exist on the remote */
+                return Release.git(['push','--force-with-lease='+lockRef+':',remote,commit+':'+lockRef],projectRoot).then(function(){
+                    return {ref: lockRef, commit: commit, owner: owner, startTime: startTime};
+                },function(error){
+                    return Release.readLock(projectRoot,remote,branch).then(function(heldLock){
+                        if(!heldLock){
+                            throw error;
+                        }
+                        throw Release.checkError('RELEASE_LOCKED','Branch ' + branch + ' is locked by a release of ' + heldLock.owner + ' started ' +
+                            heldLock.startTime + '; remove the lock with forceUnlock (--force-unlock) if that release is no longer running');
+                    });
+                });
+            });
+        },
+        /**
+         * Returns a promise that reads the release lock of a branch from a remote
+         * @param {string} projectRoot - project root
+         * @param {string} remote - remote name (e.g. origin)
+         * @param {string} branch - branch name
+         * @return {object} promise that resolves to the lock (ref, commit, owner and startTime) or null if the branch is not locked
+         */
+        readLock: function(projectRoot,remote,branch){
+            Release.debug("#readLock:enter ("+projectRoot+","+remote+","+branch+")");
+            var lockRef = Release.lockRef(branch),
+                commit;
+            return Release.git(['ls-remote',remote,lockRef],projectRoot).then(function(result){
+                commit = result.stdout.split('\t')[0].trim();
+                if(commit === ''){
+                    return null;
+                }
+                return Release.git(['fetch','--no-tags',remote,lockRef],projectRoot).then(function(){
+                    return Release.git(['show','-s','--format=%B',commit],projectRoot);
+                }).then(function(result){
+                    var info = {};
+                    try{
+                        info = JSON.parse(result.stdout.trim());
+                    }catch(ignore){
+                        /* not a lock written by a release */
+                    }
+                    return {ref: lockRef, commit: commit, owner: info.owner || 'unknown', startTime: info.startTime || null};
+                });
+            });
+        },
+        /**
+         * Returns a promise that removes a release lock from a remote, unless somebody else claimed the lock ref in the meantime
+         * @param {string} projectRoot - project root
+         * @param {string} remote - remote name (e.g. origin)
+         * @param {object} lock - lock to remove (see Release.lock)
+         * @return {object} promise that resolves after the lock is removed
+         */
+        unlock: function(projectRoot,remote,lock){
+            Release.debug("#unlock:enter ("+projectRoot+","+remote+","+lock.ref+")");
+            return Release.git(['push','--force-with-lease='+lock.ref+':'+lock.commit,remote,':'+lock.ref],projectRoot);
+        },
+        /**
+         * Returns a promise that removes the release lock of a branch from a remote whoever holds it (e.g. a stale lock of a release
+         * that was killed)
+         * @param {string} projectRoot - project root
+         * @param {string} remote - remote name (e.g. origin)
+         * @param {string} branch - branch name
+         * @return {object} promise that resolves to the removed lock or null if the branch was not locked
+         */
+        forceUnlock: function(projectRoot,remote,branch){
+            Release.debug("#forceUnlock:enter ("+projectRoot+","+remote+","+branch+")");
+            return Release.readLock(projectRoot,remote,branch).then(function(heldLock){
+                if(!heldLock){
+                    return null;
+                }
+                return Release.unlock(projectRoot,remote,heldLock).then(function(){
+                    return heldLock;
+                });
+            });
+        },
+        /**
+         * Git notes ref release manifests are recorded in (see Release.readManifest)
+         */
+        manifestNotesRef: 'refs/notes/release',
+        /**
+         * Returns a promise that verifies that the manifest file of a release configuration will not leave the project with uncommitted
+         * changes: it is written after the dev version commit, so it must be outside the project or git-ignored
+         * @param {object} config - release configuration (see Release.perform)
+         * @return {object} promise that resolves if the manifest file is fine (or not configured) and rejects otherwise
+         */
+        checkManifestFile: function(config){
+            if(!config.manifestFile){
+                return q();
+            }
+            var file = path.relative(path.resolve(config.projectPath),path.resolve(config.projectPath,config.manifestFile));
+            if(file.split(path.sep)[0] === '..' || path.isAbsolute(file)){
+                return q();
+            }
+            return Release.git(['check-ignore','-q','--',file],config.projectPath).catch(function(error){
+                if(error.exitCode !== 1){
+                    throw error;
+                }
+                throw new Error('Release manifest file ' + config.manifestFile + ' must be git-ignored (or outside the project) since it is ' +
+                    'written after the dev version commit');
+            });
+        },
+        /**
+         * Returns a promise that fetches the release manifest notes from a remote, replacing local ones; a remote without
+         * release manifests is not an error
+         * @param {string} projectRoot - project root
+         * @param {string} remote - remote name (e.g. origin)
+         * @return {object} promise that resolves after the fetch
+         */
+        fetchManifests: function(projectRoot,remote){
+            Release.debug("#fetchManifests:enter ("+projectRoot+","+remote+")");
+            var notesRef = Release.manifestNotesRef;
+            return Release.git(['fetch',remote,'+'+notesRef+':'+notesRef],projectRoot).catch(function(error){
+                Release.debug("#fetchManifests:no release manifests fetched - "+error.message);
+            });
+        },
+        /**
+         * Returns a promise that resolves to the version of npm
+         * @param {string} projectRoot - project root
+         * @return {object} promise that resolves to the npm version or null if it can not be read
+         */
+        readNpmVersion: function(projectRoot){
+            return Release.npm(['--version'],projectRoot).then(function(result){
+                return result.stdout.trim() || null;
+            },function(){
+                return null;
+            });
+        },
+        /**
+         * Registry options (--registry, --tag, --access) for npm commands
+         * @param {object} options - optional object with a registry URL, dist-tag and access level
+         * @return {array} npm command line options
+         */
+        npmOptions: function(options){
+            var npmOptions = [];
+            ['registry','tag','access'].forEach(function(option){
+                if(options && options[option]){
+                    npmOptions.push('--'+option,options[option]);
+                }
+            });
+            return npmOptions;
+        },
+        /**
+         * Returns a promise that packs a package with npm pack into a temporary directory and resolves to the tarball path
+         * @param {string} packageRoot - package root
+         * @return {object} promise that resolves to the absolute tarball path
+         */
+        pack: function(packageRoot){
+            Release.debug("#pack:enter ("+packageRoot+")");
+            var packDirectory = fs.mkdtempSync(os.tmpdir()+'/node-release-');
+            return Release.npm(['pack',fs.realpathSync(packageRoot)],packDirectory).then(function(result){
+                var lines = result.stdout.trim().split('\n');
+                return packDirectory+'/'+lines[lines.length-1].trim();
+            });
+        },
+        /**
+         * Returns a promise that publishes a package tarball to a registry
+         * @param {string} tarball - tarball path (see Release.pack)
+         * @param {object} options - optional object with a registry URL, dist-tag and access level
+         * @param {string} packageRoot - package root npm runs in, so that the project's .npmrc (registries, credentials) applies
+         * @return {object} promise that resolves after successful publish
+         */
+        publish: function(tarball,options,packageRoot){
+            Release.debug("#publish:enter ("+tarball+","+JSON.stringify(options)+","+packageRoot+")");
+            return Release.npm(['publish',tarball].concat(Release.npmOptions(options)),packageRoot);
+        },
+        /**
+         * Returns a promise that removes a published package version from a registry; if the registry refuses to unpublish it
+         * (e.g. because it has been published too long) the version is deprecated instead
+         * @param {string} name - package name
+         * @param {string} version - published version
+         * @param {object} options - optional object with a registry URL
+         * @param {string} packageRoot - package root npm runs in, so that the project's .npmrc (registries, credentials) applies
+         * @return {object} promise that resolves to 'unpublished' or 'deprecated'
+         */
+        unpublish: function(name,version,options,packageRoot){
+            Release.debug("#unpublish:enter ("+name+","+version+","+JSON.stringify(options)+","+packageRoot+")");
+            var registryOptions = Release.npmOptions({registry: options && options.registry});
+            return Release.npm(['unpublish',name+'@'+version].concat(registryOptions),packageRoot).then(function(){
+                return 'unpublished';
+            },function(error){
+                Release.warn("could not unpublish " + name + "@" + version + "; deprecating it instead - " + error);
+                return Release.npm(['deprecate',name+'@'+version,'Release rolled back; do not use this version'].concat(registryOptions),packageRoot)
+                    .then(function(){
+                        return 'deprecated';
+                    });
+            });
+        },
+        /**
+         * Returns a promise that sends a request to a release hosting API (see Release.releasePageProviders)
+         * @param {string} method - HTTP method
+         * @param {string} address - request URL
+         * @param {object} headers - request headers (e.g. authorization)
+         * @param {object} body - optional request body: a JSON object, or a buffer sent as is (with a content type in headers)
+         * @return {object} promise that resolves to the parsed JSON response (null if empty); rejects if the response status is not 2xx
+         */
+        apiRequest: function(method,address,headers,body){
+            Release.debug("#apiRequest:enter ("+method+","+address+")");
+            var options = parseUrl(address),
+                payload = body === undefined || Buffer.isBuffer(body) ? body : Buffer.from(JSON.stringify(body));
+            options.method = method;
+            options.headers = {'User-Agent': 'node-release', 'Accept': 'application/json'};
+            Object.keys(headers || {}).forEach(function(name){
+                options.headers[name] = headers[name];
+            });
+            if(payload){
+                if(!Buffer.isBuffer(body)){
+                    options.headers['Content-Type'] = 'application/json';
+                }
+                options.headers['Content-Length'] = payload.length;
+            }
+            return new q.Promise(function(resolve,reject){
+                var request = (options.protocol === 'https:' ? https : http).request(options,function(response){
+                    var chunks = [];
+                    response.on('data',function(chunk){
+                        chunks.push(chunk);
+                    });
+                    response.on('end',function(){
+                        var text = Buffer.concat(chunks).toString(),
+                            data = text;
+                        try{
+                            data = text ? JSON.parse(text) : null;
+                        }catch(error){
+                            /* not a JSON response; keep the text */
+                        }
+                        if(response.statusCode < 200 || response.statusCode >= 300){
+                            var error = new Error(method + ' ' + address + ' failed with status ' + response.statusCode +
+                                (data && data.message ? ' (' + JSON.stringify(data.message) + ')' : ''));
+                            error.status = response.statusCode;
+                            reject(error);
+                            return;
+                        }
+                        resolve(data);
+                    });
+                });
+                request.setTimeout(120000,function(){
+                    request.abort();
+                    reject(new Error(method + ' ' + address + ' timed out'));
+                });
+                request.on('error',reject);
+                request.end(payload);
+            });
+        },
+        /**
+         * Release page (e.g. GitHub release) hosting providers by name, each with its default API base URL, the environment variable its
+         * token is read from by default and functions that return promises to create a release page for a tag (resolving to a
+         * {tagName, url, webUrl, uploadUrl} page, where url addresses the page in the API), upload an asset file to a page and delete a page.
+         * Providers are supplied release page options with a repository path (e.g. pulsepointinc/node-release), apiUrl and token.
+         */
+        releasePageProviders: {
+            github: {
+                apiUrl: 'https://api.github.com',
+                tokenEnv: 'GITHUB_TOKEN',
+                headers: function(options){
+                    return {'Authorization': 'Bearer ' + options.token, 'Accept': 'application/vnd.github+json'};
+                },
+                create: function(options,tagName,body){
+                    var releasesUrl = options.apiUrl + '/repos/' + options.repository + '/releases';
+                    return Release.apiRequest('POST',releasesUrl,this.headers(options),{tag_name: tagName, name: tagName, body: body})
+                        .then(function(page){
+                            return {tagName: tagName, url: releasesUrl + '/' + page.id, webUrl: page.html_url,
+                                uploadUrl: page.upload_url.replace(/\{.*\}$/,'')};
+                        });
+                },
+                upload: function(options,page,file){
+                    var headers = this.headers(options);
+                    headers['Content-Type'] = 'application/octet-stream';
+                    return Release.apiRequest('POST',page.uploadUrl + '?name=' + encodeURIComponent(path.basename(file)),headers,fs.readFileSync(file));
+                },
+                remove: function(options,page){
+                    return Release.apiRequest('DELETE',page.url,this.headers(options));
+                }
+            },
+            gitlab: {
+                apiUrl: 'https://gitlab.com/api/v4',
+                tokenEnv: 'GITLAB_TOKEN',
+                headers: function(options){
+                    return {'PRIVATE-TOKEN': options.token};
+                },
+                projectUrl: function(options){
+                    return options.apiUrl + '/projects/' + encodeURIComponent(options.repository);
+                },
+                create: function(options,tagName,body){
+                    var releaseUrl = this.projectUrl(options) + '/releases/' + encodeURIComponent(tagName);
+                    return Release.apiRequest('POST',this.projectUrl(options) + '/releases',this.headers(options),
+                        {tag_name: tagName, name: tagName, description: body}).then(function(page){
+                            return {tagName: tagName, url: releaseUrl, webUrl: page._links && page._links.self, uploadUrl: releaseUrl + '/assets/links'};
+                        });
+                },
+                /* assets are uploaded to the project and linked from the release */
+                upload: function(options,page,file){
+                    var provider = this,
+                        boundary = 'node-release-' + new Date().getTime(),
+                        apiOrigin = parseUrl(options.apiUrl),
+                        headers = this.headers(options);
+                    headers['Content-Type'] = 'multipart/form-data; boundary=' + boundary;
+                    return Release.apiRequest('POST',this.projectUrl(options) + '/uploads',headers,Buffer.concat([
+                        Buffer.from('--' + boundary + '\r\nContent-Disposition: form-data; name="file"; filename="' + path.basename(file) +
+                            '"\r\nContent-Type: application/octet-stream\r\n\r\n'),
+                        fs.readFileSync(file),
+                        Buffer.from('\r\n--' + boundary + '--\r\n')
+                    ])).then(function(upload){
+                        return Release.apiRequest('POST',page.uploadUrl,provider.headers(options),{
+                            name: path.basename(file),
+                            url: apiOrigin.protocol + '//' + apiOrigin.host + upload.full_path
+                        });
+                    });
+                },
+                remove: function(options,page){
+                    return Release.apiRequest('DELETE',page.url,this.headers(options));
+                }
+            }
+        },
+        /**
+         * Release page options of a release configuration with provider defaults applied
+         * @param {object} config - release configuration (see Release.perform)
+         * @return {object} release page options with provider, repository, apiUrl, tokenEnv, token, assets and pack properties,
+         *                  or null if release pages are not configured
+         */
+        releasePageOptions: function(config){
+            if(!config.releasePage){
+                return null;
+            }
+            var options = config.releasePage === true ? {} : config.releasePage,
+                providerName = options.provider || 'github',
+                provider = Release.releasePageProviders[providerName],
+                tokenEnv;
+            if(!provider){
+                throw new Error("Release page provider must be one of " + Object.keys(Release.releasePageProviders).join(', '));
+            }
+            tokenEnv = options.tokenEnv || provider.tokenEnv;
+            return {
+                provider: providerName,
+                repository: options.repository,
+                apiUrl: (options.apiUrl || provider.apiUrl).replace(/\/$/,''),
+                tokenEnv: tokenEnv,
+                token: process.env[tokenEnv],
+                assets: [].concat(options.assets || []),
+                pack: !!options.pack
+            };
+        },
+        /**
+         * Repository path (e.g. pulsepointinc/node-release) of a git remote URL
+         * @param {string} remoteUrl - remote URL (e.g. git@github.com:pulsepointinc/node-release.git or https://gitlab.com/group/project.git)
+         * @return {string} repository path or null if the URL has none
+         */
+        repositoryPath: function(remoteUrl){
+            var match = /^(?:[a-z+]+:\/\/[^\/]+\/|[^@\/]+@[^:\/]+:)(.+?)(?:\.git)?\/?$/.exec(remoteUrl.trim());
+            return match ? match[1] : null;
+        },
+        /**
+         * Supported version bump strategies; 'auto' infers one of the others from conventional commit messages
+         */
+        bumpTypes: ['major','minor','patch','auto'],
+        /**
+         * Default tag name, tag message and commit message templates; ${name}, ${version} and ${branch} placeholders are replaced with
+         * the package (or project) name, released (or next dev) version and release branch
+         */
+        templates: {
+            tagFormat: '${name}-${version}',
+            tagMessage: '[release] - ${version} release',
+            commitMessage: '[release] - releasing ${version}',
+            devCommitMessage: '[release] - updating dev version to ${version}'
+        },
+        /**
+         * Placeholders supported by tag name and commit message templates
+         */
+        templatePlaceholders: ['name','version','branch'],
+        /**
+         * Returns a configured template (see Release.templates) or its default
+         * @param {object} config - release configuration (see Release.perform)
+         * @param {string} key - template name (e.g. tagFormat)
+         * @return {string} template
+         */
+        template: function(config,key){
+            return config[key] || Release.templates[key];
+        },
+        /**
+         * Replace the ${placeholder} occurrences of a template with values
+         * @param {string} template - template (e.g. ${name}-${version})
+         * @param {object} values - values by placeholder name
+         * @return {string} formatted template
+         */
+        formatTemplate: function(template,values){
+            return template.replace(/\$\{(\w+)\}/g,function(placeholder,key){
+                return values[key];
+            });
+        },
+        /**
+         * Create a regular expression matching strings formatted from a template
+         * @param {string} template - template (e.g. ${name}-${version})
+         * @param {object} patterns - regular expression sources by placeholder name
+         * @return {object} regular expression matching the whole formatted string
+         */
+        templateRegExp: function(template,patterns){
+            return new RegExp('^' + template.split(/\$\{(\w+)\}/).map(function(part,index){
+                return index % 2 === 1 ? patterns[part] : Release.escapeRegExp(part);
+            }).join('') + '$');
+        },
+        /**
+         * Escape regular expression special characters
+         * @param {string} text - text to escape
+         * @return {string} regular expression source matching the text
+         */
+        escapeRegExp: function(text){
+            return text.replace(/[.*?+^$[\](){}|\\\/-]/g,'\\$&');
+        },
+        /**
+         * Returns a git glob pattern matching the release tags of a project
+         * @param {string} projectName - project (or package) name
+         * @param {string} tagFormat - optional tag name template (see Release.templates)
+         * @return {string} git glob pattern (e.g. name-[0-9]*)
+         */
+        tagPattern: function(projectName,tagFormat){
+            return Release.formatTemplate(tagFormat || Release.templates.tagFormat,{name: projectName, version: '[0-9]*', branch: '*'});
+        },
+        /**
+         * Determine whether a commit message was made by a release (see Release.templates)
+         * @param {object} config - release configuration (see Release.perform)
+         * @param {string} message - commit message
+         * @return {boolean} true if the message matches the release or dev version commit message template
+         */
+        isReleaseCommit: function(config,message){
+            var subject = message.split('\n')[0];
+            return ['commitMessage','devCommitMessage'].some(function(key){
+                return Release.templateRegExp(Release.template(config,key),{name: '.*', version: '.*', branch: '.*'}).test(subject);
+            });
+        },
+        /**
+         * Returns a promise that resolves to the most recent release tag (<name>-<version>) reachable from HEAD or null if there is none
+         * @param {string} projectRoot - project root
+         * @param {string} projectName - project name used as release tag prefix
+         * @param {string} tagFormat - optional tag name template (see Release.templates)
+         * @return {object} promise that resolves to the last release tag name or null
+         */
+        readLastReleaseTag: function(projectRoot,projectName,tagFormat){
+            Release.debug("#readLastReleaseTag:enter ("+projectRoot+","+projectName+")");
+            return Release.git(['describe','--tags','--abbrev=0','--match',Release.tagPattern(projectName,tagFormat)],projectRoot).then(function(result){
+                var tagName = result.stdout.trim();
+                return tagName !== '' ? tagName : null;
+            },function(error){
+                /* git describe fails when no matching tag exists */
+                Release.debug("#readLastReleaseTag:no release tag found - "+error.message);
+                return null;
+            });
+        },
+        /**
+         * Returns a promise that resolves to an array of commit messages made after a ref (or all commits if no ref is supplied)
+         * @param {string} projectRoot - project root
+         * @param {string} sinceRef - optional ref (e.g. last release tag) to read commits after
+         * @param {string} path - optional path (relative to project root) to only read commits touching
+         * @return {object} promise that resolves to an array of full commit messages, newest first
+         */
+        readCommitMessages: function(projectRoot,sinceRef,path){
+            Release.debug("#readCommitMessages:enter ("+projectRoot+","+sinceRef+","+path+")");
+            var commands = ['log','--format=%B%x1e',sinceRef ? sinceRef+'..HEAD' : 'HEAD'];
+            if(path){
+                commands.push('--',path);
+            }
+            return Release.git(commands,projectRoot).then(function(result){
+                return result.stdout.split('\x1e').map(function(message){
+                    return message.trim();
+                }).filter(function(message){
+                    return message !== '';
+                });
+            });
+        },
+        /**
+         * Returns a promise that resolves to the commits of a revision range with their authors
+         * @param {string} projectRoot - project root
+         * @param {string} revisionRange - revision or revision range (e.g. name-1.0.0..HEAD)
+         * @param {number} count - optional maximum number of commits to read
+         * @return {object} promise that resolves to an array of objects with a commit hash, author (email) and subject, newest first
+         */
+        readCommits: function(projectRoot,revisionRange,count){
+            Release.debug("#readCommits:enter ("+projectRoot+","+revisionRange+","+count+")");
+            var commands = ['log','--format=%H%x09%ae%x09%s'];
+            if(count){
+                commands.push('-n',String(count));
+            }
+            return Release.git(commands.concat([revisionRange]),projectRoot).then(function(result){
+                return result.stdout.split('\n').filter(function(line){
+                    return line.trim() !== '';
+                }).map(function(line){
+                    var fields = line.split('\t');
+                    return {commit: fields[0], author: fields[1], subject: fields.slice(2).join('\t')};
+                });
+            });
+        },
+        /**
+         * Parse a conventional commit message (e.g. "feat(api)!: drop callbacks")
+         * @param {string} message - full commit message
+         * @return {object} object with type (null for non-conventional messages), scope, subject and breaking flag
+         */
+        parseCommitMessage: function(message){
+            var subjectLine = message.split('\n')[0].trim(),
+                match = /^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.*)$/.exec(subjectLine);
+            return {
+                type: match ? match[1].toLowerCase() : null,
+                scope: match && match[2] ? match[2] : null,
+                subject: match ? match[4] : subjectLine,
+                breaking: (match !== null && match[3] === '!') || /BREAKING[ -]CHANGE/.test(message)
+            };
+        },
+        /**
+         * Infer a version bump from conventional commit messages:
+         * a "BREAKING CHANGE" footer or a "type!:" subject yields major, a "feat:" subject yields minor and anything else yields patch
+         * @param {array} messages - commit messages
+         * @return {string} one of 'major', 'minor' or 'patch'
+         */
+        inferBump: function(messages){
+            var bump = 'patch';
+            messages.map(Release.parseCommitMessage).forEach(function(commit){
+                if(commit.breaking){
+                    bump = 'major';
+                }else if(bump !== 'major' && commit.type === 'feat'){
+                    bump = 'minor';
+                }
+            });
+            return bump;
+        },
+        /**
+         * Changelog sections commits are grouped into, by conventional commit type; breaking and unmatched commits get their own sections
+         */
+        changelogSections: [
+            {title: 'Breaking Changes', breaking: true},
+            {title: 'Features', types: ['feat']},
+            {title: 'Bug Fixes', types: ['fix']},
+            {title: 'Performance Improvements', types: ['perf']},
+            {title: 'Other Changes'}
+        ],
+        /**
+         * Generate markdown release notes for a version from commit messages grouped by conventional commit type;
+         * release commits made by this utility are left out (see Release.isReleaseCommit)
+         * @param {string} version - released version
+         * @param {array} messages - commit messages made since the previous release
+         * @param {object} config - optional release configuration with the commit message templates of release commits
+         *                          (see Release.perform; the default templates otherwise)
+         * @return {string} markdown release notes starting with a "## version (date)" heading
+         */
+        generateReleaseNotes: function(version,messages,config){
+            var commits = messages.filter(function(message){
+                    return !Release.isReleaseCommit(config || {},message);
+                }).map(Release.parseCommitMessage),
+                notes = '## ' + version + ' (' + new Date().toISOString().slice(0,10) + ')\n';
+            /* place every commit in the first section it matches */
+            var sectionOf = function(commit){
+                return Release.changelogSections.filter(function(section){
+                    if(section.breaking){
+                        return commit.breaking;
+                    }
+                    return !section.types || section.types.indexOf(commit.type) !== -1;
+                })[0];
+            };
+            Release.changelogSections.forEach(function(section){
+                var sectionCommits = commits.filter(function(commit){
+                    return sectionOf(commit) === section;
+                });
+                if(sectionCommits.length > 0){
+                    notes += '\n### ' + section.title + '\n';
+                    sectionCommits.forEach(function(commit){
+                        notes += '* ' + (commit.scope ? '**' + commit.scope + ':** ' : '') + commit.subject + '\n';
+                    });
+                }
+            });
+            if(commits.length === 0){
+                notes += '\n* No changes\n';
+            }
+            return notes;
+        },
+        /**
+         * Returns a promise that adds release notes as the newest version section of a changelog file, creating it if necessary;
+         * a leading "# ..." title stays at the top of the file
+         * @param {string} projectRoot - project root
+         * @param {string} changelogFile - changelog path relative to project root (e.g. CHANGELOG.md)
+         * @param {string} notes - release notes generated by Release.generateReleaseNotes
+         * @return {object} promise that resolves after the changelog is written
+         */
+        updateChangelog: function(projectRoot,changelogFile,notes){
+            Release.debug("#updateChangelog:enter ("+projectRoot+","+changelogFile+")");
+            return new q.Promise(function(resolve,reject){
+                var changelogPath = projectRoot+'/'+changelogFile,
+                    title = '# Changelog\n',
+                    existing = '';
+                if(fs.existsSync(changelogPath)){
+                    existing = fs.readFileSync(changelogPath,'utf8');
+                    var titleMatch = /^# .*\n/.exec(existing);
+                    if(titleMatch){
+                        title = titleMatch[0];
+                        existing = existing.slice(title.length);
+                    }
+                }
+                existing = existing.replace(/^\s+/,'');
+                fs.outputFileSync(changelogPath,title + '\n' + notes + (existing !== '' ? '\n' + existing : ''));
+                resolve();
+            });
+        },
+        /**
+         * Returns a promise that resolves to a concrete version bump (major, minor or patch) for a configured bump strategy;
+         * the 'auto' strategy inspects commits made since the last release tag
+         * @param {string} projectRoot - project root
+         * @param {string} projectName - project name used as release tag prefix
+         * @param {string} bump - one of Release.bumpTypes
+         * @param {string} path - optional path (relative to project root) to only inspect commits touching (e.g. a workspace package)
+         * @param {string} tagFormat - optional tag name template (see Release.templates)
+         * @return {object} promise that resolves to 'major', 'minor' or 'patch'
+         */
+        resolveBump: function(projectRoot,projectName,bump,path,tagFormat){
+            Release.debug("#resolveBump:enter ("+projectRoot+","+projectName+","+bump+","+path+")");
+            if(bump !== 'auto'){
+                return q(bump);
+            }
+            return Release.readLastReleaseTag(projectRoot,projectName,tagFormat).then(function(lastTag){
+                Release.debug("#resolveBump:reading commits since " + (lastTag || 'the first commit'));
+                return Release.readCommitMessages(projectRoot,lastTag,path);
+            }).then(function(messages){
+                return Release.inferBump(messages);
+            });
+        },
+        /**
+         * Returns a promise that resolves to the packages of an npm workspace listed in the root package.json "workspaces" field;
+         * workspace patterns may be package directories or directories of packages (e.g. packages/*)
+         * @param {string} projectRoot - workspace root
+         * @return {object} promise that resolves to an array of packages with a name, version and path relative to the workspace root
+         */
+        readWorkspacePackages: function(projectRoot){
+            Release.debug("#readWorkspacePackages:enter ("+projectRoot+")");
+            return new q.Promise(function(resolve,reject){
+                var workspaces = fs.readJsonSync(projectRoot+'/package.json').workspaces,
+                    paths = [];
+                workspaces = workspaces && !Array.isArray(workspaces) ? workspaces.packages : workspaces;
+                if(!workspaces || workspaces.length === 0){
+                    reject(new Error('Can not release workspace packages; package.json has no "workspaces" field'));
+                    return;
+                }
+                workspaces.forEach(function(pattern){
+                    pattern = pattern.replace(/^\.\//,'').replace(/\/$/,'');
+                    if(/\/\*$/.test(pattern)){
+                        var parent = pattern.slice(0,-2);
+                        fs.readdirSync(projectRoot+'/'+parent).sort().forEach(function(dir){
+                            paths.push(parent+'/'+dir);
+                        });
+                    }else{
+                        paths.push(pattern);
+                    }
+                });
+                resolve(paths.filter(function(path){
+                    return fs.existsSync(projectRoot+'/'+path+'/package.json');
+                }).map(function(path){
+                    var packageJSON = fs.readJsonSync(projectRoot+'/'+path+'/package.json');
+                    return {
+                        name: packageJSON.name,
+                        version: packageJSON.version,
+                        path: path
+                    };
+                }));
+            });
+        },
+        /**
+         * Returns a promise that resolves to the workspace packages with commits touching them since their last release tag
+         * @param {string} projectRoot - workspace root
+         * @param {array} packages - workspace packages (see Release.readWorkspacePackages)
+         * @param {string} tagFormat - optional tag name template (see Release.templates)
+         * @return {object} promise that resolves to an array of changed packages
+         */
+        readChangedPackages: function(projectRoot,packages,tagFormat){
+            Release.debug("#readChangedPackages:enter ("+projectRoot+")");
+            return q.all(packages.map(function(pkg){
+                return Release.readLastReleaseTag(projectRoot,pkg.name,tagFormat).then(function(lastTag){
+                    return lastTag ? Release.readCommitMessages(projectRoot,lastTag,pkg.path) : ['never released'];
+                });
+            })).then(function(messagesPerPackage){
+                return packages.filter(function(pkg,index){
+                    return messagesPerPackage[index].length > 0;
+                });
+            });
+        },
+        /**
+         * Dependency sections of package.json that internal workspace dependency ranges are rewritten in
+         */
+        dependencyTypes: ['dependencies','devDependencies','optionalDependencies','peerDependencies'],
+        /**
+         * Set the version of a workspace package manifest (a package.json or its lockfile entry) and rewrite exact, ~ and ^ dependency
+         * ranges on other workspace packages (keeping the range operator)
+         * @param {object} manifest - parsed manifest
+         * @param {string} name - workspace package name of the manifest
+         * @param {object} versions - new versions by package name
+         * @return {boolean} true if the manifest changed
+         */
+        updateManifestVersions: function(manifest,name,versions){
+            var changed = false;
+            if(versions[name] && manifest.version !== versions[name]){
+                manifest.version = versions[name];
+                changed = true;
+            }
+            Release.dependencyTypes.forEach(function(dependencyType){
+                var dependencies = manifest[dependencyType] || {};
+                Object.keys(dependencies).forEach(function(dependency){
+                    var range = /^([~^]?)\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?$/.exec(dependencies[dependency]);
+                    if(versions[dependency] && range && dependencies[dependency] !== range[1] + versions[dependency]){
+                        dependencies[dependency] = range[1] + versions[dependency];
+                        changed = true;
+                    }
+                });
+            });
+            return changed;
+        },
+        /**
+         * Returns a promise that sets workspace package versions and rewrites exact, ~ and ^ dependency ranges on those packages
+         * throughout the workspace (keeping the range operator)
+         * @param {string} projectRoot - workspace root
+         * @param {array} packages - all workspace packages (see Release.readWorkspacePackages)
+         * @param {object} versions - new versions by package name
+         * @return {object} promise that resolves to the package.json paths (relative to workspace root) that changed
+         */
+        updateWorkspaceVersions: function(projectRoot,packages,versions){
+            Release.debug("#updateWorkspaceVersions:enter ("+projectRoot+","+JSON.stringify(versions)+")");
+            return new q.Promise(function(resolve,reject){
+                var changedFiles = [];
+                packages.forEach(function(pkg){
+                    var file = pkg.path+'/package.json';
+                    if(Release.updateJsonFile(projectRoot+'/'+file,function(packageJSON){
+                        return Release.updateManifestVersions(packageJSON,packageJSON.name,versions);
+                    })){
+                        changedFiles.push(file);
+                    }
+                });
+                /* workspace package entries of root lockfiles mirror their package.json files */
+                Release.lockFiles.forEach(function(lockFile){
+                    if(fs.existsSync(projectRoot+'/'+lockFile) && Release.updateJsonFile(projectRoot+'/'+lockFile,function(lock){
+                        var changed = false;
+                        packages.forEach(function(pkg){
+                            var entry = lock.packages && lock.packages[pkg.path];
+                            if(entry && Release.updateManifestVersions(entry,pkg.name,versions)){
+                                changed = true;
+                            }
+                        });
+                        return changed;
+                    })){
+                        changedFiles.push(lockFile);
+                    }
+                });
+                resolve(changedFiles);
+            });
+        },
+        /**
+         * Dependency types of released packages that must not depend on unstable versions (see Release.findUnstableDependencies)
+         */
+        enforcedDependencyTypes: ['dependencies','optionalDependencies','peerDependencies'],
+        /**
+         * Parse a git dependency specifier (e.g. pulsepointinc/foo#master, github:user/repo, git+ssh://git@host/repo.git#v1.0.0)
+         * @param {string} spec - dependency specifier
+         * @return {object} object with the specifier without its ref (base), a URL git can fetch from and the ref (null if there is
+         *                  none) or null if the specifier is not a git dependency
+         */
+        gitDependency: function(spec){
+            var match = /^(git\+[^#]+|git:\/\/[^#]+|(github|gitlab|bitbucket):([^#]+)|https?:\/\/[^#]+\.git|[\w.-]+\/[\w.-]+)(?:#(.*))?$/.exec(spec),
+                hosts = {github: 'github.com', gitlab: 'gitlab.com', bitbucket: 'bitbucket.org'},
+                url;
+            if(!match){
+                return null;
+            }
+            if(match[2]){
+                url = 'https://' + hosts[match[2]] + '/' + match[3] + '.git';
+            }else if(/^[\w.-]+\/[\w.-]+$/.test(match[1])){
+                url = 'https://github.com/' + match[1] + '.git';
+            }else{
+                url = match[1].replace(/^git\+/,'');
+            }
+            return {base: match[1], url: url, ref: match[4] || null};
+        },
+        /**
+         * Determine why a dependency specifier pins a moving target
+         * @param {string} spec - dependency specifier
+         * @return {string} 'file link', 'branch ref' (git dependencies on anything but a commit, semver range or version tag) or
+         *                  'SNAPSHOT version', or null for stable specifiers
+         */
+        dependencyProblem: function(spec){
+            var gitDependency;
+            if(/^(file:|link:|\.{0,2}\/|~\/)/.test(spec)){
+                return 'file link';
+            }
+            gitDependency = Release.gitDependency(spec);
+            if(gitDependency){
+                var ref = gitDependency.ref || '';
+                return /^[0-9a-f]{7,40}$/i.test(ref) || /^semver:/.test(ref) ||
+                    (/\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?$/.test(ref) && ref.indexOf('SNAPSHOT') === -1) ? null : 'branch ref';
+            }
+            return spec.indexOf('SNAPSHOT') !== -1 ? 'SNAPSHOT version' : null;
+        },
+        /**
+         * Find dependencies of released packages on SNAPSHOT versions, git branch refs and file links
+         * @param {string} projectRoot - project root
+         * @param {array} packages - released packages
+         * @param {array} exemptNames - names of dependencies not to check (e.g. workspace packages, whose versions a release rewrites)
+         * @return {array} unstable dependencies as objects with the package name, its package.json file (relative to project root),
+         *                 the dependency type, name and spec and the problem (see Release.dependencyProblem)
+         */
+        findUnstableDependencies: function(projectRoot,packages,exemptNames){
+            var unstable = [];
+            packages.forEach(function(pkg){
+                var file = Release.packageFile(pkg),
+                    packageJSON = fs.readJsonSync(projectRoot+'/'+file);
+                Release.enforcedDependencyTypes.forEach(function(type){
+                    var dependencies = packageJSON[type] || {};
+                    Object.keys(dependencies).forEach(function(name){
+                        var problem = exemptNames.indexOf(name) === -1 ? Release.dependencyProblem(String(dependencies[name])) : null;
+                        if(problem){
+                            unstable.push({package: pkg.name, file: file, type: type, name: name, spec: dependencies[name], problem: problem});
+                        }
+                    });
+                });
+            });
+            return unstable;
+        },
+        /**
+         * Returns a promise that resolves to the newest <name>-<version> release tag of a git repository
+         * @param {string} projectRoot - project root
+         * @param {string} url - git repository URL
+         * @param {string} name - package name
+         * @return {object} promise that resolves to the tag name or null if the repository has no release tags
+         */
+        readLatestReleaseTag: function(projectRoot,url,name){
+            Release.debug("#readLatestReleaseTag:enter ("+projectRoot+","+url+","+name+")");
+            return Release.git(['ls-remote','--tags',url,'refs/tags/'+Release.tagPattern(name)],projectRoot).then(function(result){
+                var tags = result.stdout.split('\n').map(function(line){
+                    return (line.split('\t')[1] || '').trim().replace(/^refs\/tags\//,'');
+                }).filter(function(tagName){
+                    return !/\^\{\}$/.test(tagName) && Release.tagVersion(tagName,name) !== null;
+                }).sort(function(a,b){
+                    return semver.compare(Release.tagVersion(a,name),Release.tagVersion(b,name));
+                });
+                return tags.length > 0 ? tags[tags.length-1] : null;
+            });
+        },
+        /**
+         * Returns a promise that sets dependency specifiers in package.json files, keeping their formatting
+         * @param {string} projectRoot - project root
+         * @param {array} dependencies - pinned dependencies (see the dependencies pre-flight check) with a file, type, name and specs
+         * @param {string} specKey - key of the spec to set: 'to' (pinned) or 'from' (original)
+         * @return {object} promise that resolves after the files are updated
+         */
+        setDependencySpecs: function(projectRoot,dependencies,specKey){
+            Release.debug("#setDependencySpecs:enter ("+projectRoot+","+specKey+")");
+            return q.fcall(function(){
+                dependencies.forEach(function(dependency){
+                    Release.updateJsonFile(projectRoot+'/'+dependency.file,function(packageJSON){
+                        return Release.setJsonValue(packageJSON,[dependency.type,dependency.name],dependency[specKey]);
+                    });
+                });
+            });
+        },
+        /**
+         * Names of the files (relative to project root) release options are loaded from, in order of precedence; options are also
+         * loaded from the "release" property of package.json if there is no such file
+         */
+        configFiles: ['.releaserc','.releaserc.json'],
+        /**
+         * Load the release options of a project from its first release configuration file (see Release.configFiles) or package.json
+         * @param {string} projectRoot - project root
+         * @return {object} release options (empty if the project has none)
+         */
+        loadConfig: function(projectRoot){
+            var configFile = Release.configFiles.filter(function(file){
+                    return fs.existsSync(projectRoot+'/'+file);
+                })[0],
+                packageJSON;
+            if(configFile){
+                Release.debug("#loadConfig:loading options from " + configFile);
+                try{
+                    return fs.readJsonSync(projectRoot+'/'+configFile);
+                }catch(error){
+                    throw new Error('Could not read release options from ' + configFile + ': ' + error.message);
+                }
+            }
+            packageJSON = fs.existsSync(projectRoot+'/package.json') ? fs.readJsonSync(projectRoot+'/package.json') : {};
+            return packageJSON.release || {};
+        },
+        /**
+         * Apply instance defaults to a release configuration
+         * @param {object} config - release configuration (see Release.perform)
+         * @param {string} cwd - optional default projectPath (the instance cwd by default)
+         * @return {object} copy of the configuration with the default projectPath if it has none (or the configuration itself)
+         */
+        applyDefaults: function(config,cwd){
+            cwd = cwd || Release.cwd;
+            if(!config || config.projectPath || !cwd){
+                return config;
+            }
+            var resolved = {};
+            Object.keys(config).forEach(function(key){
+                resolved[key] = config[key];
+            });
+            resolved.projectPath = cwd;
+            return resolved;
+        },
+        /**
+         * Validate a release configuration; throws an error describing the first problem found
+         * @param {object} config - release configuration (see Release.perform)
+         * @param {boolean} inspecting - optional flag for configurations that only inspect a project (see Release.status), which
+         *                               do not need a buildPromise
+         */
+        validateConfig: function(config,inspecting){
+            if(!config){
+                throw new Error("Release requires a configuration object");
+            }
+            if(!config.projectPath){
+                throw new Error("Release requires a projectPath configuration");
+            }
+            fs.ensureFileSync(config.projectPath+"/package.json");
+            if(!inspecting && !config.build && (!config.buildPromise || typeof(config.buildPromise) !== 'function')){
+                throw new Error("Release requires a buildPromise function or build command");
+            }
+            if(config.bump && Release.bumpTypes.indexOf(config.bump) === -1){
+                throw new Error("Release bump must be one of " + Release.bumpTypes.join(', '));
+            }
+            Object.keys(Release.templates).forEach(function(key){
+                var template = config[key];
+                if(template === undefined){
+                    return;
+                }
+                if(typeof(template) !== 'string' || template.indexOf('${version}') === -1){
+                    throw new Error("Release " + key + " must be a template containing a ${version} placeholder");
+                }
+                (template.match(/\$\{\w+\}/g) || []).forEach(function(placeholder){
+                    if(Release.templatePlaceholders.indexOf(placeholder.slice(2,-1)) === -1){
+                        throw new Error("Unknown placeholder " + placeholder + " in release " + key + "; placeholders are " +
+                            Release.templatePlaceholders.map(function(name){
+                                return '${' + name + '}';
+                            }).join(', '));
+                    }
+                });
+            });
+            var releasePage = Release.releasePageOptions(config);
+            if(releasePage && !inspecting && !releasePage.token){
+                throw new Error("Release pages require a " + releasePage.provider + " token in the " + releasePage.tokenEnv + " environment variable");
+            }
+            if(config.flow && config.flow !== 'gitflow'){
+                throw new Error("Release flow must be gitflow (or unset for releases on the current branch)");
+            }
+            if(config.scheme && !Release.versionSchemes.hasOwnProperty(config.scheme)){
+                throw new Error("Release scheme must be one of " + Object.keys(Release.versionSchemes).join(', '));
+            }
+            if(config.scheme === 'prerelease' && !config.preid && !config.graduate){
+                throw new Error("The prerelease versioning scheme requires a preid (e.g. beta) unless graduating a prerelease");
+            }
+            [].concat(config.skipChecks || []).forEach(function(checkName){
+                if(!Release.preflightChecks.some(function(check){
+                    return check.name === checkName;
+                })){
+                    throw new Error("Unknown pre-flight check " + checkName + "; checks are " + Release.preflightChecks.map(function(check){
+                        return check.name;
+                    }).join(', '));
+                }
+            });
+            Release.logLevel = config.debug ? 'debug' : options.logLevel || 'info';
+        },
+        /**
+         * Create an error for a failed pre-flight check
+         * @param {string} code - error code identifying the failed check
+         * @param {string} message - error message
+         * @return {object} error with a code property
+         */
+        checkError: function(code,message){
+            var error = new Error(message);
+            error.code = code;
+            return error;
+        },
+        /**
+         * Determine whether a branch matches a branch policy
+         * @param {string} branch - branch name
+         * @param {array} allowedBranches - branch names, patterns with * wildcards (e.g. release/*) or regular expressions
+         * @return {boolean} true if the branch matches any allowed branch
+         */
+        isBranchAllowed: function(branch,allowedBranches){
+            return [].concat(allowedBranches).some(function(allowed){
+                if(allowed instanceof RegExp){
+                    return allowed.test(branch);
+                }
+                return new RegExp('^' + allowed.split('*').map(Release.escapeRegExp).join('.*') + '$').test(branch);
+            });
+        },
+        /**
+         * Returns a promise that fetches from a remote
+         * @param {string} projectRoot - project root
+         * @param {string} remote - remote name (e.g. origin)
+         * @return {object} promise that resolves after a successful fetch
+         */
+        fetch: function(projectRoot,remote){
+            Release.debug("#fetch:enter ("+projectRoot+","+remote+")");
+            return Release.git(['fetch','--tags',remote],projectRoot);
+        },
+        /**
+         * Returns a promise that resolves to how many commits the current branch is ahead of and behind its remote counterpart
+         * (as of the last fetch); a branch that does not exist on the remote yet is considered in sync
+         * @param {string} projectRoot - project root
+         * @param {string} remote - remote name (e.g. origin)
+         * @param {string} branch - branch name
+         * @return {object} promise that resolves to an object with ahead and behind commit counts
+         */
+        readSyncStatus: function(projectRoot,remote,branch){
+            Release.debug("#readSyncStatus:enter ("+projectRoot+","+remote+","+branch+")");
+            var remoteBranch = 'refs/remotes/'+remote+'/'+branch;
+            return Release.git(['for-each-ref','--format=%(refname)',remoteBranch],projectRoot).then(function(result){
+                if(result.stdout.trim() !== remoteBranch){
+                    return {ahead: 0, behind: 0};
+                }
+                return Release.git(['rev-list','--left-right','--count',remoteBranch+'...HEAD'],projectRoot).then(function(result){
+                    var counts = result.stdout.trim().split(/\s+/);
+                    return {
+                        behind: parseInt(counts[0],10) || 0,
+                        ahead: parseInt(counts[1],10) || 0
+                    };
+                });
+            });
+        },
+        /**
+         * Returns a promise that resolves to the versions of a project's local release tags (<name>-<version>), oldest first
+         * @param {string} projectRoot - project root
+         * @param {string} projectName - project name used as release tag prefix
+         * @param {string} tagFormat - optional tag name template (see Release.templates)
+         * @return {object} promise that resolves to an array of released versions
+         */
+        readReleaseVersions: function(projectRoot,projectName,tagFormat){
+            Release.debug("#readReleaseVersions:enter ("+projectRoot+","+projectName+")");
+            return Release.git(['tag','-l',Release.tagPattern(projectName,tagFormat)],projectRoot).then(function(result){
+                return result.stdout.split('\n').map(function(tagName){
+                    return Release.tagVersion(tagName.trim(),projectName,tagFormat);
+                }).filter(function(version){
+                    return version !== null;
+                }).sort(semver.compare);
+            });
+        },
+        /**
+         * Read the released version from a release tag name
+         * @param {string} tagName - tag name
+         * @param {string} projectName - project (or package) name
+         * @param {string} tagFormat - optional tag name template (see Release.templates)
+         * @return {string} released version or null if the tag is not a release tag of the project
+         */
+        tagVersion: function(tagName,projectName,tagFormat){
+            var match = Release.templateRegExp(tagFormat || Release.templates.tagFormat,{
+                name: Release.escapeRegExp(String(projectName)),
+                version: '(\\d.*)',
+                branch: '.*'
+            }).exec(tagName);
+            return match && semver.valid(match[1]) !== null ? match[1] : null;
+        },
+        /**
+         * Returns a promise that resolves to the release tags of a project with their creation dates, newest first
+         * @param {string} projectRoot - project root
+         * @param {string} projectName - project (or package) name
+         * @param {string} tagFormat - optional tag name template (see Release.templates)
+         * @return {object} promise that resolves to an array of objects with a name, tagName, version and date (ISO 8601)
+         */
+        readReleaseTags: function(projectRoot,projectName,tagFormat){
+            Release.debug("#readReleaseTags:enter ("+projectRoot+","+projectName+")");
+            return Release.git(['for-each-ref','--sort=-creatordate','--format=%(refname:short)%09%(creatordate:iso-strict)',
+                'refs/tags/'+Release.tagPattern(projectName,tagFormat)],projectRoot).then(function(result){
+                return result.stdout.split('\n').filter(function(line){
+                    return line.trim() !== '';
+                }).map(function(line){
+                    var fields = line.trim().split('\t');
+                    return {
+                        name: projectName,
+                        tagName: fields[0],
+                        version: Release.tagVersion(fields[0],projectName,tagFormat),
+                        date: fields[1]
+                    };
+                }).filter(function(tag){
+                    return tag.version !== null;
+                });
+            });
+        },
+        /**
+         * Returns a promise that resolves to whether a tag exists on a remote
+         * @param {string} projectRoot - project root
+         * @param {string} remote - remote name (e.g. origin)
+         * @param {string} tagName - tag name
+         * @return {object} promise that resolves to true if the remote has the tag
+         */
+        remoteTagExists: function(projectRoot,remote,tagName){
+            Release.debug("#remoteTagExists:enter ("+projectRoot+","+remote+","+tagName+")");
+            return Release.git(['ls-remote','--tags',remote,'refs/tags/'+tagName],projectRoot).then(function(result){
+                return result.stdout.trim() !== '';
+            });
+        },
+        /**
+         * Pre-flight checks run before a release modifies anything; each can be skipped by name (config.skipChecks) and fails with its own error code
+         */
+        preflightChecks: [
+            /* current branch matches the branch policy */
+            {name: 'branch', code: 'RELEASE_BRANCH_NOT_ALLOWED', run: function(release){
+                var branches = release.config.branches,
+                    branch = release.state.devBranch;
+                if(branches && !Release.isBranchAllowed(branch,branches)){
+                    throw Release.checkError('RELEASE_BRANCH_NOT_ALLOWED','Can not release from branch ' + branch +
+                        '; releases are only allowed from ' + [].concat(branches).join(', '));
+                }
+            }},
+            /* remote is reachable */
+            {name: 'remote', code: 'RELEASE_REMOTE_UNREACHABLE', run: function(release){
+                return Release.git(['ls-remote','--heads','origin'],release.config.projectPath).catch(function(error){
+                    throw Release.checkError('RELEASE_REMOTE_UNREACHABLE','Can not reach remote origin: ' + error.message);
+                });
+            }},
+            /* branch is neither ahead of nor behind the remote */
+            {name: 'sync', code: 'RELEASE_BRANCH_OUT_OF_SYNC', run: function(release){
+                var projectPath = release.config.projectPath,
+                    branch = release.state.devBranch;
+                return Release.fetch(projectPath,'origin').then(function(){
+                    return Release.readSyncStatus(projectPath,'origin',branch);
+                }).then(function(status){
+                    if(status.ahead > 0 || status.behind > 0){
+                        throw Release.checkError('RELEASE_BRANCH_OUT_OF_SYNC','Branch ' + branch + ' is ' + status.ahead + ' commit(s) ahead of and ' +
+                            status.behind + ' commit(s) behind origin/' + branch + '; push or pull prior to running a release');
+                    }
+                });
+            }},
+            /* release tags do not exist yet */
+            {name: 'tag', code: 'RELEASE_TAG_EXISTS', run: function(release){
+                var projectPath = release.config.projectPath;
+                return release.state.packages.reduce(function(previous,pkg){
+                    return previous.then(function(){
+                        return Release.git(['tag','-l',pkg.tagName],projectPath);
+                    }).then(function(result){
+                        if(result.stdout.trim() !== ''){
+                            throw Release.checkError('RELEASE_TAG_EXISTS','Release tag ' + pkg.tagName + ' already exists');
+                        }
+                        return Release.remoteTagExists(projectPath,'origin',pkg.tagName);
+                    }).then(function(exists){
+                        if(exists){
+                            throw Release.checkError('RELEASE_TAG_EXISTS','Release tag ' + pkg.tagName + ' already exists on origin');
+                        }
+                    });
+                },q());
+            }},
+            /* released packages do not depend on SNAPSHOT versions, git branch refs or file links; with config.pinDependencies,
+               git branch refs are pinned to the newest release tag of their repository instead (see the pinDependencies step) */
+            {name: 'dependencies', code: 'RELEASE_UNSTABLE_DEPENDENCIES', run: function(release){
+                var config = release.config,
+                    state = release.state,
+                    exemptNames = state.workspacePackages.map(function(pkg){
+                        return pkg.name;
+                    }),
+                    remaining = [];
+                state.pinnedDependencies = [];
+                return Release.findUnstableDependencies(config.projectPath,state.packages,exemptNames).reduce(function(previous,dependency){
+                    return previous.then(function(){
+                        var gitDependency = Release.gitDependency(dependency.spec);
+                        if(!config.pinDependencies || dependency.problem !== 'branch ref'){
+                            remaining.push(dependency);
+                            return;
+                        }
+                        return Release.readLatestReleaseTag(config.projectPath,gitDependency.url,dependency.name).then(function(tagName){
+                            if(!tagName){
+                                remaining.push(dependency);
+                                return;
+                            }
+                            Release.debug("#perform:pinning " + dependency.name + " " + dependency.spec + " to " + tagName);
+                            state.pinnedDependencies.push({file: dependency.file, type: dependency.type, name: dependency.name,
+                                from: dependency.spec, to: gitDependency.base + '#' + tagName});
+                        });
+                    });
+                },q()).then(function(){
+                    if(remaining.length > 0){
+                        throw Release.checkError('RELEASE_UNSTABLE_DEPENDENCIES','Released packages depend on unstable versions:\n' +
+                            remaining.map(function(dependency){
+                                return ' - ' + dependency.package + ' ' + dependency.type + ' ' + dependency.name + ': ' + dependency.spec +
+                                    ' (' + dependency.problem + ')';
+                            }).join('\n'));
+                    }
+                });
+            }},
+            /* release versions are newer than previously released versions (of their major.minor line for hotfix releases) */
+            {name: 'version', code: 'RELEASE_VERSION_NOT_NEWER', run: function(release){
+                return release.state.packages.reduce(function(previous,pkg){
+                    return previous.then(function(){
+                        return Release.readReleaseVersions(release.config.projectPath,pkg.name,release.config.tagFormat);
+                    }).then(function(versions){
+                        if(release.config.hotfix){
+                            versions = versions.filter(function(version){
+                                return semver.major(version) === semver.major(pkg.releaseVersion) && semver.minor(version) === semver.minor(pkg.releaseVersion);
+                            });
+                        }
+                        var newestVersion = versions[versions.length-1];
+                        if(newestVersion && !semver.gt(pkg.releaseVersion,newestVersion)){
+                            throw Release.checkError('RELEASE_VERSION_NOT_NEWER','Release version ' + pkg.releaseVersion + ' of ' + pkg.name +
+                                ' is not newer than released version ' + newestVersion);
+                        }
+                    });
+                },q());
+            }}
+        ],
+        /**
+         * Release steps performed in order; each step is supplied the release in progress (see Release.runSteps), reads and records
+         * what it needs in release.state and may return a promise; lifecycle hooks named by a step's "before" and "after" run around it
+         */
+        steps: [
+            /* check current version(s) fit the versioning scheme */
+            {name: 'checkVersion', before: 'preCheck', run: function(release){
+                var config = release.config,
+                    state = release.state;
+                if(!config.workspaces){
+                    return Release.checkVersion(config.projectPath,config.scheme).then(function(packageInfo){
+                        Release.debug("#perform:read DEV version as " + packageInfo.version);
+                        state.devVersion = packageInfo.version;
+                        state.projectName = packageInfo.name;
+                        state.packages = [{name: packageInfo.name, path: '.', devVersion: packageInfo.version}];
+                        state.workspacePackages = [];
+                        return Release.listCommitFiles(config,['package.json']);
+                    }).then(function(files){
+                        state.versionFiles = files;
+                        state.releaseFiles = files.slice();
+                    });
+                }
+                return Release.readWorkspacePackages(config.projectPath).then(function(workspacePackages){
+                    state.projectName = fs.readJsonSync(config.projectPath+'/package.json').name;
+                    state.workspacePackages = workspacePackages;
+                    return Release.listCommitFiles(config,workspacePackages.map(Release.packageFile));
+                }).then(function(files){
+                    state.versionFiles = files;
+                    state.releaseFiles = files.slice();
+                    return q.all(state.workspacePackages.map(function(pkg){
+                        return Release.checkVersion(config.projectPath+'/'+pkg.path,config.scheme);
+                    }));
+                }).then(function(){
+                    state.packages = state.workspacePackages.map(function(pkg){
+                        Release.debug("#perform:read DEV version of " + pkg.name + " as " + pkg.version);
+                        return {name: pkg.name, path: pkg.path, devVersion: pkg.version};
+                    });
+                    state.devVersion = Release.sharedValue(state.packages,'devVersion');
+                });
+            }},
+            /* check for uncommitted changes */
+            {name: 'checkUncommitted', run: function(release){
+                return Release.checkUncommitted(release.config.projectPath).then(function(){
+                    Release.debug("#perform:verified there are no uncommitted changes");
+                    return Release.checkManifestFile(release.config);
+                });
+            }},
+            /* remember current commit */
+            {name: 'readCommit', run: function(release){
+                return Release.readCurrentCommit(release.config.projectPath).then(function(currentCommit){
+                    Release.debug("#perform:read pre-release commit as " + currentCommit);
+                    release.state.preReleaseCommit = currentCommit;
+                });
+            }},
+            /* remember current branch */
+            {name: 'readBranch', run: function(release){
+                return Release.readCurrentBranch(release.config.projectPath).then(function(currentBranch){
+                    Release.debug("#perform:read DEV branch as " + currentBranch);
+                    release.state.devBranch = currentBranch;
+                });
+            }},
+            /* claim the release lock of the branch so concurrent releases of it fail */
+            {name: 'lock', run: function(release){
+                var config = release.config,
+                    state = release.state,
+                    lockRef = Release.lockRef(state.devBranch);
+                if(!config.lock && !config.forceUnlock){
+                    return;
+                }
+                return q().then(function(){
+                    if(!config.forceUnlock){
+                        return;
+                    }
+                    return release.mutate('git push origin :' + lockRef + ' (remove release lock)', function(){
+                        return Release.forceUnlock(config.projectPath,'origin',state.devBranch).then(function(removedLock){
+                            if(removedLock){
+                                Release.warn("removed release lock of " + state.devBranch + " held by " + removedLock.owner + " since " + removedLock.startTime);
+                            }
+                        });
+                    });
+                }).then(function(){
+                    return release.mutate('git push origin ' + lockRef + ' (claim release lock)', function(){
+                        return Release.lock(config.projectPath,'origin',state.devBranch,config.lockOwner || Release.lockOwner()).then(function(lock){
+                            Release.debug("#perform:claimed release lock " + lock.ref);
+                            state.lock = lock;
+                        });
+                    });
+                });
+            }},
+            /* release only changed workspace packages unless releasing in lockstep */
+            {name: 'pickPackages', run: function(release){
+                var config = release.config,
+                    state = release.state;
+                if(!config.workspaces || config.lockstep){
+                    return;
+                }
+                return Release.readChangedPackages(config.projectPath,state.packages,config.tagFormat).then(function(changedPackages){
+                    if(changedPackages.length === 0){
+                        throw new Error('No workspace packages changed since their last release');
+                    }
+                    Release.debug("#perform:releasing changed packages " + changedPackages.map(function(pkg){
+                        return pkg.name;
+                    }).join(', '));
+                    state.packages = changedPackages;
+                    state.devVersion = Release.sharedValue(state.packages,'devVersion');
+                });
+            }},
+            /* pick a version bump and release version for every package */
+            {name: 'pickReleaseVersion', run: function(release){
+                var config = release.config,
+                    state = release.state;
+                return state.packages.reduce(function(previous,pkg){
+                    return previous.then(function(){
+                        return Release.resolveBump(config.projectPath,pkg.name,config.bump || 'patch',config.workspaces ? pkg.path : undefined,config.tagFormat);
+                    }).then(function(bump){
+                        Release.debug("#perform:picked version bump of " + pkg.name + " as " + bump);
+                        pkg.bump = bump;
+                        pkg.releaseVersion = config.releaseVersion || Release.versionScheme(config).releaseVersion(pkg.devVersion,bump,config);
+                        pkg.tagName = Release.formatTemplate(Release.template(config,'tagFormat'),{
+                            name: pkg.name,
+                            version: pkg.releaseVersion,
+                            branch: state.devBranch
+                        });
+                        pkg.nextDevVersion = Release.pickNextDevVersion(config,pkg);
+                        Release.debug("#perform:picked release version of " + pkg.name + " as " + pkg.releaseVersion);
+                    });
+                },q()).then(function(){
+                    state.bump = Release.sharedValue(state.packages,'bump');
+                    state.releaseVersion = Release.sharedValue(state.packages,'releaseVersion');
+                    state.releaseTagName = state.packages.length === 1 ? state.packages[0].tagName : null;
+                });
+            }},
+            /* run pre-flight checks before anything is modified */
+            {name: 'preflight', run: function(release){
+                var skipChecks = [].concat(release.config.skipChecks || []);
+                return Release.preflightChecks.reduce(function(previous,check){
+                    if(skipChecks.indexOf(check.name) !== -1){
+                        Release.debug("#perform:skipping pre-flight check " + check.name);
+                        return previous;
+                    }
+                    return previous.then(function(){
+                        Release.debug("#perform:running pre-flight check " + check.name);
+                        return check.run(release);
+                    });
+                },q());
+            }},
+            /* git-flow: start a release/<version> branch from the develop branch */
+            {name: 'startReleaseBranch', run: function(release){
+                var config = release.config,
+                    state = release.state,
+                    projectPath = config.projectPath,
+                    mainBranch = config.mainBranch || 'main',
+                    developBranch = config.developBranch || 'develop',
+                    releaseBranch;
+                if(config.flow !== 'gitflow'){
+                    return;
+                }
+                if(state.devBranch !== developBranch){
+                    throw new Error('git-flow releases start from the ' + developBranch + ' branch, not ' + state.devBranch);
+                }
+                if(state.releaseVersion === null){
+                    throw new Error('git-flow releases require all released packages to share a version');
+                }
+                releaseBranch = 'release/' + state.releaseVersion;
+                return q.all([
+                    Release.refExists(projectPath,'refs/heads/'+mainBranch),
+                    Release.refExists(projectPath,'refs/remotes/origin/'+mainBranch),
+                    Release.refExists(projectPath,'refs/heads/'+releaseBranch)
+                ]).spread(function(localMain,remoteMain,existingReleaseBranch){
+                    if(existingReleaseBranch){
+                        throw new Error('Release branch ' + releaseBranch + ' already exists');
+                    }
+                    if(!localMain && !remoteMain){
+                        throw new Error('git-flow releases require a ' + mainBranch + ' branch');
+                    }
+                    return q.all([
+                        Release.git(['rev-parse','--verify',localMain ? 'refs/heads/'+mainBranch : 'refs/remotes/origin/'+mainBranch],projectPath),
+                        remoteMain ? Release.git(['rev-parse','--verify','refs/remotes/origin/'+mainBranch],projectPath) : null
+                    ]).spread(function(mainCommit,remoteMainCommit){
+                        if(remoteMainCommit && remoteMainCommit.stdout.trim() !== mainCommit.stdout.trim()){
+                            throw Release.checkError('RELEASE_BRANCH_OUT_OF_SYNC','Branch ' + mainBranch + ' is out of sync with origin/' + mainBranch +
+                                '; push or pull prior to running a release');
+                        }
+                        state.mainBranch = mainBranch;
+                        state.mainPreReleaseCommit = mainCommit.stdout.trim();
+                        if(!localMain){
+                            return release.mutate('git branch ' + mainBranch + ' origin/' + mainBranch, function(){
+                                return Release.git(['branch',mainBranch,'origin/'+mainBranch],projectPath);
+                            });
+                        }
+                    });
+                }).then(function(){
+                    Release.debug("#perform:starting release branch " + releaseBranch);
+                    state.releaseBranch = releaseBranch;
+                    return release.mutate('git checkout -b ' + releaseBranch, function(){
+                        return Release.checkout(projectPath,releaseBranch,'HEAD');
+                    });
+                });
+            }},
+            /* pin git branch ref dependencies to the release tags picked by the dependencies pre-flight check */
+            {name: 'pinDependencies', run: function(release){
+                var pinnedDependencies = release.state.pinnedDependencies;
+                if(pinnedDependencies.length === 0){
+                    return;
+                }
+                return release.mutate('pin dependencies ' + pinnedDependencies.map(function(dependency){
+                    return dependency.name + ' to ' + dependency.to;
+                }).join(', '), function(){
+                    return Release.setDependencySpecs(release.config.projectPath,pinnedDependencies,'to');
+                });
+            }},
+            /* bump version(s) to release version */
+            {name: 'updateReleaseVersion', before: 'preVersion', after: 'postVersion', run: function(release){
+                if(!Release.versionsChanged(release.state.packages,'devVersion','releaseVersion')){
+                    Release.debug("#perform:DEV version is the release version; nothing to update");
+                    return;
+                }
+                Release.debug("#perform:updating local DEV version to release");
+                return Release.updatePackageVersions(release,'devVersion','releaseVersion');
+            }},
+            /* perform a build */
+            {name: 'build', run: function(release){
+                Release.debug("#perform:executing build");
+                var buildPromise = Release.buildFunction(release.config);
+                return release.mutate('run build for release version ' + Release.describeVersions(release.state.packages,'releaseVersion'), function(){
+                    return buildPromise(Release.releaseInfo(release.state),release.config.signal);
+                });
+            }},
+            /* generate release notes from commits since previous release and add them to changelog */
+            {name: 'changelog', run: function(release){
+                var config = release.config,
+                    state = release.state,
+                    changelogFile = config.changelog === true ? 'CHANGELOG.md' : config.changelog,
+                    messages = [];
+                if(!changelogFile){
+                    return;
+                }
+                return state.packages.reduce(function(previous,pkg){
+                    return previous.then(function(){
+                        return Release.readLastReleaseTag(config.projectPath,pkg.name,config.tagFormat);
+                    }).then(function(lastTag){
+                        return Release.readCommitMessages(config.projectPath,lastTag,config.workspaces ? pkg.path : undefined);
+                    }).then(function(packageMessages){
+                        packageMessages.forEach(function(message){
+                            if(messages.indexOf(message) === -1){
+                                messages.push(message);
+                            }
+                        });
+                    });
+                },q()).then(function(){
+                    state.releaseNotes = Release.generateReleaseNotes(state.releaseVersion || state.packages.map(function(pkg){
+                        return pkg.tagName;
+                    }).join(', '),messages,config);
+                    Release.debug("#perform:generated release notes:\n" + state.releaseNotes);
+                    state.releaseFiles.push(changelogFile);
+                    return release.mutate('add ' + Release.describeVersions(state.packages,'releaseVersion') + ' release notes to ' + changelogFile, function(){
+                        return Release.updateChangelog(config.projectPath,changelogFile,state.releaseNotes);
+                    });
+                }).then(function(){
+                    return release.mutate('git add -- ' + changelogFile, function(){
+                        return Release.stage(config.projectPath,[changelogFile]);
+                    });
+                });
+            }},
+            /* commit release version */
+            {name: 'commitRelease', before: 'preCommit', run: function(release){
+                var state = release.state,
+                    message = Release.commitMessage(release,'commitMessage','releaseVersion');
+                if(!state.releaseNotes && state.pinnedDependencies.length === 0 && !Release.versionsChanged(state.packages,'devVersion','releaseVersion')){
+                    Release.debug("#perform:nothing changed for the release; tagging the pre-release commit");
+                    return;
+                }
+                Release.debug("#perform:committing release version as "+Release.describeVersions(state.packages,'releaseVersion'));
+                return release.mutate('git commit ' + (release.config.sign ? '-S ' : '') + state.releaseFiles.join(' ') + ' -m ' + message, function(){
+                    return Release.commit(release.config.projectPath,message,state.releaseFiles,release.config.sign);
+                });
+            }},
+            /* git-flow: merge the release branch into the main branch; the merge commit is tagged */
+            {name: 'mergeRelease', run: function(release){
+                var config = release.config,
+                    state = release.state;
+                if(config.flow !== 'gitflow'){
+                    return;
+                }
+                Release.debug("#perform:merging " + state.releaseBranch + " into " + state.mainBranch);
+                return release.mutate('git checkout ' + state.mainBranch, function(){
+                    return Release.checkout(config.projectPath,state.mainBranch);
+                }).then(function(){
+                    return release.mutate('git merge --no-ff ' + state.releaseBranch, function(){
+                        return Release.merge(config.projectPath,state.releaseBranch,config.sign);
+                    });
+                });
+            }},
+            /* tag release of every package */
+            {name: 'tag', before: 'preTag', after: 'postTag', run: function(release){
+                var state = release.state;
+                Release.debug("#perform:tagging release version");
+                return state.packages.reduce(function(previous,pkg){
+                    var message = Release.tagMessage(release,pkg);
+                    return previous.then(function(){
+                        return release.mutate('git tag ' + (release.config.sign ? '-s' : '-a') + ' -m ' + message.split('\n')[0] + ' ' + pkg.tagName, function(){
+                            return Release.tag(release.config.projectPath,message,pkg.tagName,release.config.sign);
+                        });
+                    }).then(function(){
+                        Release.debug("#perform:tagged "+pkg.tagName);
+                        state.createdTags.push(pkg.tagName);
+                    });
+                },q());
+            }},
+            /* pack released packages and publish them to an npm registry */
+            {name: 'publish', run: function(release){
+                var config = release.config,
+                    state = release.state,
+                    options = config.publish === true ? {} : config.publish;
+                if(!options){
+                    return;
+                }
+                return state.packages.reduce(function(previous,pkg){
+                    return previous.then(function(){
+                        Release.debug("#perform:publishing " + pkg.name + "@" + pkg.releaseVersion);
+                        return release.mutate('npm publish ' + pkg.name + '@' + pkg.releaseVersion + ' ' + Release.npmOptions(options).join(' '), function(){
+                            return Release.pack(config.projectPath+'/'+pkg.path).then(function(tarball){
+                                return Release.publish(tarball,options,path.resolve(config.projectPath,pkg.path)).finally(function(){
+                                    fs.removeSync(tarball.slice(0,tarball.lastIndexOf('/')));
+                                });
+                            });
+                        });
+                    }).then(function(){
+                        state.publishedPackages.push({name: pkg.name, version: pkg.releaseVersion, path: pkg.path});
+                    });
+                },q());
+            }},
+            /* pack released packages for their release pages while the release version is checked out */
+            {name: 'packAssets', run: function(release){
+                var config = release.config,
+                    state = release.state,
+                    options = Release.releasePageOptions(config);
+                if(!options || !options.pack){
+                    return;
+                }
+                return state.packages.reduce(function(previous,pkg){
+                    return previous.then(function(){
+                        return release.mutate('npm pack ' + pkg.name + '@' + pkg.releaseVersion, function(){
+                            return Release.pack(config.projectPath+'/'+pkg.path).then(function(tarball){
+                                state.packedAssets[pkg.tagName] = tarball;
+                            });
+                        });
+                    });
+                },q());
+            }},
+            /* perform post-release tasks and remember their result for rollback */
+            {name: 'postRelease', run: function(release){
+                var config = release.config;
+                if(!config.postReleasePromise){
+                    return;
+                }
+                if(config.dryRun){
+                    return release.mutate('run post-release tasks for release version ' + Release.describeVersions(release.state.packages,'releaseVersion'));
+                }
+                Release.debug("#perform:executing post release steps");
+                var postReleaseCallResult = config.postReleasePromise(Release.releaseInfo(release.state));
+                if(postReleaseCallResult && postReleaseCallResult.then){
+                    return postReleaseCallResult.then(function(result){
+                        release.postReleaseResult = result;
+                        return result;
+                    });
+                }
+                release.postReleaseResult = postReleaseCallResult;
+            }},
+            /* git-flow: merge the release back into the develop branch (through its tag, so the tag is reachable from develop) and drop the release branch */
+            {name: 'mergeBack', run: function(release){
+                var config = release.config,
+                    state = release.state,
+                    tagName = Release.releaseTagNames(state)[0];
+                if(config.flow !== 'gitflow'){
+                    return;
+                }
+                Release.debug("#perform:merging " + tagName + " back into " + state.devBranch);
+                return release.mutate('git checkout ' + state.devBranch, function(){
+                    return Release.checkout(config.projectPath,state.devBranch);
+                }).then(function(){
+                    return release.mutate('git merge --no-ff ' + tagName, function(){
+                        return Release.merge(config.projectPath,tagName,config.sign);
+                    });
+                }).then(function(){
+                    return release.mutate('git branch -d ' + state.releaseBranch, function(){
+                        return Release.git(['branch','-d',state.releaseBranch],config.projectPath);
+                    });
+                });
+            }},
+            /* bump to next dev version */
+            {name: 'updateDevVersion', run: function(release){
+                var config = release.config,
+                    state = release.state;
+                state.packages.forEach(function(pkg){
+                    pkg.nextDevVersion = Release.pickNextDevVersion(config,pkg);
+                    Release.debug("#perform:picked next DEV version of " + pkg.name + " as " + pkg.nextDevVersion);
+                });
+                state.nextDevVersion = Release.sharedValue(state.packages,'nextDevVersion');
+                return Release.updatePackageVersions(release,'releaseVersion','nextDevVersion').then(function(){
+                    /* development continues on the pinned branches */
+                    if(state.pinnedDependencies.length === 0){
+                        return;
+                    }
+                    return release.mutate('unpin dependencies ' + state.pinnedDependencies.map(function(dependency){
+                        return dependency.name + ' to ' + dependency.from;
+                    }).join(', '), function(){
+                        return Release.setDependencySpecs(config.projectPath,state.pinnedDependencies,'from');
+                    });
+                });
+            }},
+            /* commit dev version */
+            {name: 'commitDevVersion', before: 'preCommit', run: function(release){
+                var state = release.state,
+                    message = Release.commitMessage(release,'devCommitMessage','nextDevVersion');
+                Release.debug("#perform:committing next DEV version");
+                return release.mutate('git commit ' + (release.config.sign ? '-S ' : '') + state.versionFiles.join(' ') + ' -m ' + message, function(){
+                    return Release.commit(release.config.projectPath,message,state.versionFiles,release.config.sign);
+                });
+            }},
+            /* record a release manifest as a git note on the release commit (and in a file) if requested; it is recorded before pushing,
+               so its step durations only cover the steps up to committing the dev version */
+            {name: 'manifest', run: function(release){
+                var config = release.config,
+                    state = release.state,
+                    projectPath = config.projectPath,
+                    notesRef = Release.manifestNotesRef,
+                    releaseRevision = Release.releaseTagNames(state)[0]+'^{commit}';
+                if(!config.manifest && !config.manifestFile){
+                    return;
+                }
+                if(config.dryRun){
+                    return release.mutate('git notes --ref=' + notesRef + ' add -m <release manifest> ' + releaseRevision +
+                        (config.manifestFile ? ' and write it to ' + config.manifestFile : ''));
+                }
+                return q.all([
+                    Release.git(['rev-parse','--verify',releaseRevision],projectPath),
+                    Release.readCurrentCommit(projectPath),
+                    Release.readNpmVersion(projectPath)
+                ]).spread(function(releaseCommit,devCommit,npmVersion){
+                    state.manifest = Release.createManifest(release,releaseCommit.stdout.trim(),devCommit,npmVersion);
+                    if(config.manifestFile){
+                        fs.outputJsonSync(path.resolve(projectPath,config.manifestFile),state.manifest,{spaces: 2});
+                    }
+                    return Release.fetchManifests(projectPath,'origin');
+                }).then(function(){
+                    return Release.git(['for-each-ref','--format=%(objectname)',notesRef],projectPath);
+                }).then(function(result){
+                    state.notesBefore = result.stdout.trim() || null;
+                    Release.debug("#perform:recording release manifest for " + state.manifest.releaseCommit);
+                    return Release.git(['notes','--ref='+notesRef,'add','-f','-m',JSON.stringify(state.manifest,null,2),state.manifest.releaseCommit],projectPath);
+                }).then(function(){
+                    return Release.git(['rev-parse','--verify',notesRef],projectPath);
+                }).then(function(result){
+                    state.notesCommit = result.stdout.trim();
+                    state.manifestNoted = true;
+                });
+            }},
+            /* push tags and dev version upstream in one go if requested */
+            {name: 'pushAtomic', before: 'prePush', run: function(release){
+                var state = release.state,
+                    tagNames = Release.releaseTagNames(state),
+                    branches = release.config.flow === 'gitflow' ? [state.mainBranch,state.devBranch] : [state.devBranch],
+                    refs = tagNames.concat(branches).concat(state.manifestNoted ? [Release.manifestNotesRef] : []);
+                if(!release.config.atomicPush){
+                    return;
+                }
+                Release.debug("#perform:pushing released tags and DEV version (" + state.devBranch+") atomically");
+                return release.mutate('git push --atomic origin ' + refs.join(' '), function(){
+                    return Release.pushAtomic(release.config.projectPath,'origin',refs);
+                }).then(function(){
+                    tagNames.forEach(function(tagName){
+                        state.pushedRefs.push({type: 'tag', name: tagName});
+                    });
+                    state.pushedRefs.push({type: 'branch', name: state.devBranch});
+                    if(release.config.flow === 'gitflow'){
+                        state.pushedRefs.push({type: 'branch', name: state.mainBranch, preReleaseCommit: state.mainPreReleaseCommit});
+                    }
+                    if(state.manifestNoted){
+                        state.pushedRefs.push({type: 'notes', name: Release.manifestNotesRef, commit: state.notesCommit, previous: state.notesBefore});
+                    }
+                },function(error){
+                    if(!Release.isAtomicPushUnsupported(error)){
+                        throw error;
+                    }
+                    Release.debug("#perform:remote does not support atomic pushes; pushing refs one by one");
+                });
+            }},
+            /* git-flow: push the main branch */
+            {name: 'pushMain', run: function(release){
+                var state = release.state;
+                if(release.config.flow !== 'gitflow' || Release.isPushed(state,'branch',state.mainBranch)){
+                    return;
+                }
+                Release.debug("#perform:pushing " + state.mainBranch);
+                return release.mutate('git push origin ' + state.mainBranch, function(){
+                    return Release.push(release.config.projectPath,'origin',state.mainBranch);
+                }).then(function(){
+                    state.pushedRefs.push({type: 'branch', name: state.mainBranch, preReleaseCommit: state.mainPreReleaseCommit});
+                });
+            }},
+            /* push tags upstream */
+            {name: 'pushTag', run: function(release){
+                var state = release.state;
+                return Release.releaseTagNames(state).reduce(function(previous,tagName){
+                    if(Release.isPushed(state,'tag',tagName)){
+                        return previous;
+                    }
+                    return previous.then(function(){
+                        Release.debug("#perform:pushing released tag " + tagName);
+                        return release.mutate('git push origin ' + tagName, function(){
+                            return Release.push(release.config.projectPath,'origin',tagName);
+                        });
+                    }).then(function(){
+                        state.pushedRefs.push({type: 'tag', name: tagName});
+                    });
+                },q()).then(function(){
+                    var notesRef = Release.manifestNotesRef;
+                    if(!state.manifestNoted || Release.isPushed(state,'notes',notesRef)){
+                        return;
+                    }
+                    Release.debug("#perform:pushing release manifest notes");
+                    return Release.push(release.config.projectPath,'origin',notesRef).then(function(){
+                        state.pushedRefs.push({type: 'notes', name: notesRef, commit: state.notesCommit, previous: state.notesBefore});
+                    });
+                });
+            }},
+            /* create a release page (e.g. a GitHub release) for every pushed tag and upload its assets */
+            {name: 'releasePage', run: function(release){
+                var config = release.config,
+                    state = release.state,
+                    options = Release.releasePageOptions(config),
+                    provider = options && Release.releasePageProviders[options.provider];
+                if(!options){
+                    return;
+                }
+                return q(options.repository || Release.git(['remote','get-url','origin'],config.projectPath).then(function(result){
+                    var repository = Release.repositoryPath(result.stdout);
+                    if(!repository){
+                        throw new Error('Could not determine the repository of origin (' + result.stdout.trim() + '); configure a release page repository');
+                    }
+                    return repository;
+                })).then(function(repository){
+                    options.repository = repository;
+                    return state.packages.reduce(function(previous,pkg){
+                        var assets = options.assets.map(function(asset){
+                            return path.resolve(config.projectPath,asset);
+                        });
+                        if(state.releasePages.some(function(page){
+                            return page.tagName === pkg.tagName;
+                        })){
+                            return previous;
+                        }
+                        return previous.then(function(){
+                            Release.debug("#perform:creating " + options.provider + " release page for " + pkg.tagName);
+                            return release.mutate('create ' + options.provider + ' release ' + pkg.tagName + ' of ' + repository +
+                                (options.pack ? ' with the ' + pkg.name + ' tarball' : '') +
+                                (assets.length > 0 ? ' with assets ' + options.assets.join(' ') : ''), function(){
+                                return provider.create(options,pkg.tagName,Release.tagMessage(release,pkg)).then(function(page){
+                                    state.releasePages.push(page);
+                                    return (state.packedAssets[pkg.tagName] ? [state.packedAssets[pkg.tagName]] : []).concat(assets)
+                                        .reduce(function(previousUpload,asset){
+                                            return previousUpload.then(function(){
+                                                return provider.upload(options,page,asset);
+                                            });
+                                        },q());
+                                });
+                            });
+                        });
+                    },q());
+                }).finally(function(){
+                    Release.removePackedAssets(state);
+                });
+            }},
+            /* push dev version */
+            {name: 'pushDevVersion', after: 'postPush', run: function(release){
+                var state = release.state;
+                if(Release.isPushed(state,'branch',state.devBranch)){
+                    return;
+                }
+                Release.debug("#perform:pushing DEV version (" + state.devBranch+")");
+                return release.mutate('git push origin ' + state.devBranch, function(){
+                    return Release.push(release.config.projectPath,'origin',state.devBranch);
+                }).then(function(){
+                    state.pushedRefs.push({type: 'branch', name: state.devBranch});
                 });
+            }}
+        ],
+        /**
+         * Path of a released package's package.json relative to the project root
+         * @param {object} pkg - released or workspace package
+         * @return {string} package.json path
+         */
+        packageFile: function(pkg){
+            return pkg.path === '.' ? 'package.json' : pkg.path+'/package.json';
+        },
+        /**
+         * Remove the temporary directories of tarballs packed for release pages (see the packAssets release step)
+         * @param {object} state - release state (see Release.beginRelease)
+         */
+        removePackedAssets: function(state){
+            Object.keys(state.packedAssets).forEach(function(tagName){
+                fs.removeSync(path.dirname(state.packedAssets[tagName]));
+                delete state.packedAssets[tagName];
             });
-        });
-    },
-    /**
-     * Log a debug message
-     */
-    debug: function(){
-        if(Release.debugEnabled){
-            var args = Array.prototype.slice.call(arguments);
-            if(args.length > 0){
-                args[0] = '[release] ' + args[0];
-            }
-            console.log.apply(console,args);
-        }
-    },
-    /**
-     * Read current git commit and return a promise that resolves to this commit
-     * @param {string} projectRoot - node project root
-     * @return {object} promise that resolves to current git commit
-     */
-    readCurrentCommit: function(projectRoot){
-        Release.debug("#readCurrentCommit:enter ("+projectRoot+")");
-        return Release.git(['rev-parse', '--verify', 'HEAD'],projectRoot).then(function(result){
-            return new q.Promise(function(resolve,reject){
-                var currentCommit = result.stdout.trim();
-                if(currentCommit !== ''){
-                    resolve(currentCommit);
-                }else{
-                    reject(new Error('Could not read current commit.'));
-                }
+        },
+        /**
+         * Message of a package's release tag: the generated release notes or else the tagMessage template (see Release.templates)
+         * @param {object} release - release in progress (see Release.beginRelease)
+         * @param {object} pkg - released package
+         * @return {string} tag message
+         */
+        tagMessage: function(release,pkg){
+            return release.state.releaseNotes || Release.formatTemplate(Release.template(release.config,'tagMessage'),{
+                name: pkg.name,
+                version: pkg.releaseVersion,
+                branch: release.state.devBranch
             });
-        }.bind(this));
-    },
-    /**
-     * Read current git branch and return a promise that resolves to the branch name
-     * @param {string} projectRoot - node project root
-     * @return {object} promise that resolves to current git branch name
-     */
-    readCurrentBranch: function(projectRoot){
-        Release.debug("#readCurrentBranch:enter ("+projectRoot+")");
-        return Release.git(['rev-parse','--abbrev-ref','HEAD'],projectRoot).then(function(result){
-            return new q.Promise(function(resolve,reject){
-                var currentBranch = result.stdout.trim();
-                if(currentBranch !== ''){
-                    resolve(currentBranch);
-                }else{
-                    reject(new Error('Could not read current branch.'));
-                }
+        },
+        /**
+         * Value of a property shared by all released packages (e.g. the release version of a single package or of packages released in lockstep)
+         * @param {array} packages - released packages
+         * @param {string} key - package property
+         * @return {string} the shared value or null if packages differ
+         */
+        sharedValue: function(packages,key){
+            return packages.every(function(pkg){
+                return pkg[key] === packages[0][key];
+            }) ? packages[0][key] : null;
+        },
+        /**
+         * Determine whether any released package changes version
+         * @param {array} packages - released packages
+         * @param {string} fromKey - version property to change from (e.g. devVersion)
+         * @param {string} toKey - version property to change to (e.g. releaseVersion)
+         * @return {boolean} true if the versions of any package differ
+         */
+        versionsChanged: function(packages,fromKey,toKey){
+            return packages.some(function(pkg){
+                return pkg[fromKey] !== pkg[toKey];
             });
-        });
-    },
-    /**
-     * Hard-revert projectRoot to a pre-release commit in case a release is botched and return a promise
-     * @param {string} projectRoot - node project root
-     * @param {string} commit - a pre-release commit to revert to
-     * @return {object} promise that resolves when revert is complete
-     */
-    reset: function(projectRoot,commit){
-        Release.debug("#reset:enter (" + projectRoot + "," + commit + ")");
-        return new q.Promise(function(resolve,reject){
-            if(!commit){
-                Release.debug("#reset:no pre-release commit supplied");
-                resolve();
-            }else{
-                Release.git(['reset','--hard',commit],projectRoot).then(function(){
-                    Release.debug("#reset:reverted to pre-release commit "+commit);
-                    resolve();
-                }).catch(function(error){
-                    reject(error);
+        },
+        /**
+         * Format a release commit message template (see Release.templates) for the released packages
+         * @param {object} release - release in progress (see Release.beginRelease)
+         * @param {string} templateKey - commitMessage or devCommitMessage
+         * @param {string} versionKey - version property of released packages (e.g. releaseVersion)
+         * @return {string} commit message
+         */
+        commitMessage: function(release,templateKey,versionKey){
+            return Release.formatTemplate(Release.template(release.config,templateKey),{
+                name: release.state.projectName,
+                version: Release.describeVersions(release.state.packages,versionKey),
+                branch: release.state.devBranch
+            });
+        },
+        /**
+         * Describe a version of released packages for messages: the version itself if shared by all packages and "name version" pairs otherwise
+         * @param {array} packages - released packages
+         * @param {string} key - version property (e.g. releaseVersion)
+         * @return {string} version description
+         */
+        describeVersions: function(packages,key){
+            var version = Release.sharedValue(packages,key);
+            return version !== null ? version : packages.map(function(pkg){
+                return pkg.name + ' ' + pkg[key];
+            }).join(', ');
+        },
+        /**
+         * Release information supplied to build and post-release tasks
+         * @param {object} state - release state
+         * @return {object} object with the (shared) releaseVersion and released packages with their name, path, releaseVersion,
+         *                  next devVersion and tagName
+         */
+        releaseInfo: function(state){
+            return {
+                releaseVersion: state.releaseVersion,
+                packages: state.packages.map(function(pkg){
+                    return {name: pkg.name, path: pkg.path, releaseVersion: pkg.releaseVersion, devVersion: pkg.nextDevVersion, tagName: pkg.tagName};
+                })
+            };
+        },
+        /**
+         * Create the manifest of a release (see Release.readManifest); stepDurations holds the durations of the steps completed so far
+         * @param {object} release - release in progress (see Release.runSteps)
+         * @param {string} releaseCommit - commit the release tags point to
+         * @param {string} devCommit - commit of the next dev version
+         * @param {string} npmVersion - npm version (see Release.readNpmVersion)
+         * @return {object} release manifest
+         */
+        createManifest: function(release,releaseCommit,devCommit,npmVersion){
+            var state = release.state,
+                stepDurations = {},
+                postReleaseResult = null;
+            Object.keys(state.stepDurations).forEach(function(stepName){
+                stepDurations[stepName] = state.stepDurations[stepName];
+            });
+            try{
+                /* only the JSON part of the post-release result (e.g. no rollback function) is recorded */
+                postReleaseResult = JSON.parse(JSON.stringify(release.postReleaseResult));
+            }catch(ignore){
+                /* undefined or not serializable */
+            }
+            return {
+                name: state.projectName,
+                releaseVersion: state.releaseVersion,
+                devVersion: state.nextDevVersion,
+                tagName: state.releaseTagName,
+                branch: state.devBranch,
+                preReleaseCommit: state.preReleaseCommit,
+                releaseCommit: releaseCommit,
+                devCommit: devCommit,
+                packages: Release.releaseInfo(state).packages,
+                startTime: new Date(state.releaseStartTime).toISOString(),
+                stepDurations: stepDurations,
+                buildDuration: stepDurations.build === undefined ? null : stepDurations.build,
+                nodeVersion: process.version,
+                npmVersion: npmVersion,
+                postReleaseResult: postReleaseResult
+            };
+        },
+        /**
+         * Release tag names of all released packages
+         * @param {object} state - release state
+         * @return {array} tag names
+         */
+        releaseTagNames: function(state){
+            return state.packages.map(function(pkg){
+                return pkg.tagName;
+            });
+        },
+        /**
+         * Determine whether a release already pushed a ref
+         * @param {object} state - release state
+         * @param {string} type - ref type ('tag' or 'branch')
+         * @param {string} name - ref name
+         * @return {boolean} true if the ref was pushed
+         */
+        isPushed: function(state,type,name){
+            return state.pushedRefs.some(function(pushedRef){
+                return pushedRef.type === type && pushedRef.name === name;
+            });
+        },
+        /**
+         * Returns a promise that moves released packages from one of their versions to another; workspace packages also get
+         * internal dependency ranges on released packages rewritten
+         * @param {object} release - release in progress (see Release.runSteps)
+         * @param {string} fromKey - package property holding the current version (e.g. devVersion)
+         * @param {string} toKey - package property holding the new version (e.g. releaseVersion)
+         * @return {object} promise that resolves after versions are updated
+         */
+        updatePackageVersions: function(release,fromKey,toKey){
+            var config = release.config,
+                state = release.state,
+                versions = {},
+                descriptions = state.packages.map(function(pkg){
+                    versions[pkg.name] = pkg[toKey];
+                    return 'update ' + Release.packageFile(pkg) + ' version from ' + pkg[fromKey] + ' to ' + pkg[toKey];
                 });
+            var otherFiles = state.versionFiles.filter(function(file){
+                    return !/(^|\/)package\.json$/.test(file);
+                }),
+                version = Release.sharedValue(state.packages,toKey);
+            if(config.versionFiles && version === null){
+                return q.reject(new Error('versionFiles require all released packages to share a version (e.g. a lockstep workspace release)'));
             }
-        }.bind(this));
-    },
-    /**
-     * Delete a git tag by name
-     * @param {string} projectRoot - node project root
-     * @param {string} tagName - tag name to delete
-     * @return {object} promise that resolves when delete is complete
-     */
-    deleteTag: function(projectRoot,tagName){
-        Release.debug("#deleteTag:enter ("+projectRoot+","+tagName+")");
-        return new q.Promise(function(resolve,reject){
-            if(!tagName){
-                Release.debug("#deleteTag:no tagName supplied");
-                resolve();
-            }else{
-                Release.git(['tag','-d',tagName],projectRoot).then(function(){
-                    Release.debug("#deleteTag:deleted tag "+tagName);
-                    resolve();
-                }).catch(function(error){
-                    reject(error);
+            return release.mutate(descriptions.join(', ') + (config.workspaces ? ' and internal dependency ranges on them' : '') +
+                (otherFiles.length > 0 ? ' (also in ' + otherFiles.join(', ') + ')' : ''), function(){
+                return (config.workspaces ? Release.updateWorkspaceVersions(config.projectPath,state.workspacePackages,versions) :
+                    Release.updateVersion(config.projectPath,version)).then(function(){
+                        return Release.updateVersionFiles(config.projectPath,config.versionFiles,version);
+                    });
+            });
+        },
+        /**
+         * List the files (relative to project root) a release updates versions in: package.json files, existing lockfiles
+         * and configured versionFiles
+         * @param {object} config - release configuration (see Release.perform)
+         * @param {array} packageFiles - package.json files of released (or workspace) packages
+         * @return {array} file paths
+         */
+        listVersionFiles: function(config,packageFiles){
+            return packageFiles.concat(Release.lockFiles.filter(function(lockFile){
+                return fs.existsSync(config.projectPath+'/'+lockFile);
+            })).concat((config.versionFiles || []).map(function(versionFile){
+                return versionFile.path;
+            }));
+        },
+        /**
+         * Returns a promise that lists the files a release commits versions in: the version files (see Release.listVersionFiles)
+         * without lockfiles that git does not track (e.g. git-ignored ones, which are still updated but can not be committed)
+         * @param {object} config - release configuration (see Release.perform)
+         * @param {array} packageFiles - package.json files of released (or workspace) packages
+         * @return {object} promise that resolves to file paths
+         */
+        listCommitFiles: function(config,packageFiles){
+            return q.all(Release.listVersionFiles(config,packageFiles).map(function(file){
+                if(Release.lockFiles.indexOf(file) === -1){
+                    return file;
+                }
+                return Release.git(['ls-files','--error-unmatch','--',file],config.projectPath).then(function(){
+                    return file;
+                },function(){
+                    Release.debug("#listCommitFiles:" + file + " is not tracked; not committing it");
+                    return null;
                 });
+            })).then(function(files){
+                return files.filter(function(file){
+                    return file !== null;
+                });
+            });
+        },
+        /**
+         * Lifecycle hooks that can be registered through the hooks configuration or plugins
+         */
+        hookNames: ['preCheck','preVersion','postVersion','preCommit','preTag','postTag','prePush','postPush','onRollback','onSuccess'],
+        /**
+         * Load a plugin: an object with functions named after lifecycle hooks, or a module (resolved from the project root) exporting
+         * such an object or a function that is supplied plugin options and returns one
+         * @param {string} projectRoot - project root
+         * @param {object} plugin - plugin object, module name or [module name, options] array
+         * @return {object} plugin object
+         */
+        loadPlugin: function(projectRoot,plugin){
+            if(typeof(plugin) === 'string' || Array.isArray(plugin)){
+                var moduleName = Array.isArray(plugin) ? plugin[0] : plugin,
+                    options = Array.isArray(plugin) ? plugin[1] : undefined,
+                    pluginModule;
+                Release.debug("#loadPlugin:loading " + moduleName);
+                try{
+                    pluginModule = require(require.resolve(moduleName,{paths: [fs.realpathSync(projectRoot)]}));
+                }catch(error){
+                    throw new Error('Could not load release plugin ' + moduleName + ': ' + error.message);
+                }
+                plugin = typeof(pluginModule) === 'function' ? pluginModule(options) : pluginModule;
             }
-        });
-    },
-    /**
-     * Verifies that a project version has a "-SNAPSHOT" in it; returns a promsie that resolves to current version if it does
-     * @param {string} projectRoot - project root
-     * @return {object} promise that resolves to current name and version if the project version is a snapshot
-     */
-    checkVersion: function(projectRoot){
-        Release.debug("#checkVersion:enter ("+projectRoot+")");
-        return q.Promise(function(resolve,reject){
-            var packageJSON = require(projectRoot+'/package.json'),
-                name = packageJSON.name,
-                version = packageJSON.version;
-            if(version.indexOf('SNAPSHOT') === -1){
-                reject(new Error('Can not release a non-SNAPSHOT version; update package.json version prior to release'));
-            }
-            if(version.split('.').length!==3){
-                reject(new Error('Project version must be semver compliant and have a patch version (e.g. 1.0.0-SNAPSHOT)'));
+            return plugin || {};
+        },
+        /**
+         * Collect lifecycle hook functions from the hooks configuration (functions or arrays of functions by hook name) and plugins
+         * @param {object} config - release configuration (see Release.perform)
+         * @return {object} arrays of hook functions by hook name
+         */
+        registerHooks: function(config){
+            var hooks = {},
+                register = function(source,hookName,hook){
+                    if(Release.hookNames.indexOf(hookName) === -1){
+                        throw new Error('Unknown release hook ' + hookName + ' in ' + source + '; hooks are ' + Release.hookNames.join(', '));
+                    }
+                    (Array.isArray(hook) ? hook : [hook]).forEach(function(hookFunction){
+                        if(typeof(hookFunction) !== 'function'){
+                            throw new Error('Release hook ' + hookName + ' in ' + source + ' must be a function');
+                        }
+                        hooks[hookName] = (hooks[hookName] || []).concat([hookFunction]);
+                    });
+                };
+            Object.keys(config.hooks || {}).forEach(function(hookName){
+                register('hooks configuration',hookName,config.hooks[hookName]);
+            });
+            (config.plugins || []).forEach(function(pluginConfig,index){
+                var plugin = Release.loadPlugin(config.projectPath,pluginConfig),
+                    source = 'plugin ' + (plugin.name || (typeof(pluginConfig) === 'object' ? index : pluginConfig));
+                Object.keys(plugin).filter(function(key){
+                    return key !== 'name';
+                }).forEach(function(hookName){
+                    register(source,hookName,plugin[hookName]);
+                });
+            });
+            return hooks;
+        },
+        /**
+         * Context supplied to lifecycle hooks
+         * @param {object} release - release in progress (see Release.runSteps)
+         * @return {object} object with projectPath, projectName, devVersion, releaseVersion, nextDevVersion, preReleaseCommit, branch,
+         *                  tagName (tagNames for several packages), released packages and dryRun flag
+         */
+        hookContext: function(release){
+            var state = release.state;
+            return {
+                projectPath: release.config.projectPath,
+                projectName: state.projectName,
+                devVersion: state.devVersion,
+                releaseVersion: state.releaseVersion,
+                nextDevVersion: state.nextDevVersion,
+                preReleaseCommit: state.preReleaseCommit,
+                branch: state.devBranch,
+                tagName: state.releaseTagName,
+                tagNames: state.packages.map(function(pkg){
+                    return pkg.tagName;
+                }),
+                packages: Release.releaseInfo(state).packages,
+                dryRun: !!release.config.dryRun
+            };
+        },
+        /**
+         * Returns a promise that runs the functions registered for a lifecycle hook one after another; in dry-run mode hooks are only recorded
+         * @param {object} release - release in progress (see Release.runSteps)
+         * @param {string} hookName - lifecycle hook name (may be undefined for steps without hooks)
+         * @param {object} extra - optional properties to add to the hook context (e.g. error for onRollback)
+         * @return {object} promise that resolves after all hook functions resolved
+         */
+        runHooks: function(release,hookName,extra){
+            var hooks = (hookName && release.hooks[hookName]) || [];
+            if(hooks.length === 0){
+                return q();
             }
-            resolve({
-                name: name,
-                version: version
+            Release.debug("#perform:running " + hookName + " hooks");
+            return release.mutate('run ' + hookName + ' hooks', function(){
+                return hooks.reduce(function(previous,hook){
+                    return previous.then(function(){
+                        var context = Release.hookContext(release);
+                        Object.keys(extra || {}).forEach(function(key){
+                            context[key] = extra[key];
+                        });
+                        return hook(context);
+                    });
+                },q());
             });
-        });
-    },
-    /**
-     * Returns a promise that resolves only if there are uncommitted changes
-     * @param {string} projectRoot - project root
-     * @return {object} promise that resolves only if there are uncommited changes
-     */
-    checkUncommitted: function(projectRoot){
-        Release.debug("#checkUncommitted:enter ("+projectRoot+")");
-        return Release.git(['status','--porcelain'],projectRoot).then(function(result){
-            return new q.Promise(function(resolve,reject){
-                if(result.stdout.length > 0){
-                    reject(new Error('Outstanding git changes present; commit all changes prior to running a release:\n'+result.stdout));
-                }else{
-                    resolve();
+        },
+        /**
+         * Name of the journal file a release records its progress in; it is kept in the project's git directory
+         * (see Release.journalPath) so that it is neither committed nor packed
+         */
+        journalFile: 'release-state.json',
+        /**
+         * Absolute path of the release journal of a project: Release.journalFile in its git directory, or in the project root
+         * if the project is not a git repository
+         * @param {string} projectRoot - project root
+         * @return {string} journal path
+         */
+        journalPath: function(projectRoot){
+            var gitDir;
+            try{
+                gitDir = execFileSync('git',['rev-parse','--git-dir'],{cwd: projectRoot, encoding: 'utf8', stdio: ['ignore','pipe','ignore']}).trim();
+            }catch(e){
+                gitDir = '.';
+            }
+            return path.resolve(projectRoot,gitDir,Release.journalFile);
+        },
+        /**
+         * Read the journal left behind by an interrupted release
+         * @param {string} projectRoot - project root
+         * @return {object} journal with the release "config" (without functions) and "state", or null if there is none
+         */
+        readJournal: function(projectRoot){
+            var journalPath = Release.journalPath(projectRoot);
+            return fs.existsSync(journalPath) ? fs.readJsonSync(journalPath) : null;
+        },
+        /**
+         * Record the progress of a release in its journal so it can be resumed or aborted if the process dies
+         * @param {object} release - release in progress (see Release.runSteps)
+         */
+        writeJournal: function(release){
+            var config = {};
+            Object.keys(release.config).forEach(function(key){
+                if(typeof(release.config[key]) !== 'function' && key !== 'events' && key !== 'signal'){
+                    config[key] = release.config[key];
                 }
             });
-        });
-    },
-    /**
-     * Returns a promise that updates project version to supplied new version and resolves
-     * @param {string} projectRoot - project root
-     * @param {string} newVersion - new version project version
-     * @return {object} promise that resolves after updating project version
-     */
-    updateVersion: function(projectRoot,newVersion){
-        Release.debug("#updateVersion:enter ("+projectRoot+","+newVersion+")");
-        return new q.Promise(function(resolve,reject){
-            var packageJSON = require(projectRoot+'/package.json');
-            packageJSON.version = newVersion;
-            fs.writeJsonSync(projectRoot+'/package.json',packageJSON,{spaces: 2});
-            resolve();
-        });
-    },
-    /**
-     * Returns a promise that performs a commit and resolves on success
-     * @param {string} projectRoot - project root
-     * @param {string} message - commit message
-     * @return {object} promise that resolves after successful commit
-     */
-    commit: function(projectRoot,message){
-        Release.debug("#commit:enter ("+projectRoot+","+message+")");
-        return Release.git(['commit','package.json','-m',message],projectRoot);
-    },
-    /**
-     * Returns a promise that tags current repository at HEAD and resolves to tag name on success
-     * @param {string} projectRoot - project root
-     * @param {string} message - release message
-     * @param {string} version - tag name/version
-     * @return {object} promise that resolves to tag name after successful tag
-     */
-    tag: function(projectRoot,message,version){
-        Release.debug("#tag:enter ("+projectRoot+","+message+","+version+")");
-        return Release.git(['tag','-a','-m',message, version], projectRoot).then(function(result){
-            return version;
-        });
-    },
-    /**
-     * Returns a promise that pushes a ref to a remote git repo
-     * @param {string} projectRoot - project root
-     * @param {string} remote - remote name (e.g. origin)
-     * @param {string} ref - ref to push (e.g. master, 1.0.0)
-     * @return {object} promise that resolves after successful push
-     */
-    push: function(projectRoot,remote,ref){
-        Release.debug("#push:enter ("+projectRoot+","+remote+","+ref+")");
-        return Release.git(['push',remote,ref],projectRoot);
-    },
-    /**
-     * Perform a release given a release configuration consisting of at least a <code>projectPath</code> and <code>buildPromise</code>
-     * @param {object}  config                       - required release configuration
-     * @param {string}  config.projectPath           - required node project file system path
-     * @param {string}  config.buildPromise          - required function that is supplied an object with "releaseVersion" and returns a build promise or status
-     * @param {object}  config.postReleasePromise    - optional function that is supplied an object with "releaseVersion" and returns a post-release promise or status
-     * @param {string}  config.releaseVersion        - optional release version (automatically selected otherwise)
-     * @param {string}  config.nextDevVersion        - optional next dev version (automatically selected otherwise)
-     * @param {boolean} config.debug                 - optional flag that specifies whether or not to log debug messages
-     * @return {object} promise that resolves with release information (releaseVersion,devVersion,releaseTime) or rejects with an error
-     */
-    perform: function(config){
-        /* validate config */
-        if(!config){
-            throw new Error("Release requires a configuration object");
-        }
-        if(!config.projectPath){
-            throw new Error("Release requires a projectPath configuration");
-        }
-        fs.ensureFileSync(config.projectPath+"/package.json");
-        if(!config.buildPromise || typeof(config.buildPromise) !== 'function'){
-            throw new Error("Release requires a buildPromise function");
-        }
-        if(config.debug){
-            Release.debugEnabled = true;
-        }
-        /* remember some state */
-        var preReleaseCommit = null,
-            projectName = null,
-            devBranch = null,
-            devVersion = null,
-            releaseVersion = null,
-            releaseTagName = null,
-            nextDevVersion = null,
-            postReleaseResult = null,
-            releaseStartTime = new Date().getTime();
-
-        /* original */
-        /* check current version contains a -SNAPSHOT */
-        return Release.checkVersion(config.projectPath)
-            /* remember current version and check for uncommitted changes */
-            .then(function(packageInfo){
-                Release.debug("#perform:read DEV version as " + packageInfo.version);
-                devVersion = packageInfo.version;
-                projectName = packageInfo.name;
-                return Release.checkUncommitted(config.projectPath);
-            })
-            /* read current commit */
-            .then(function(){
-                Release.debug("#perform:verified there are no uncommitted changes");
-                return Release.readCurrentCommit(config.projectPath);
-            })
-            /* remember current commit and read current branch */
-            .then(function(currentCommit){
-                Release.debug("#perform:read pre-release commit as " + currentCommit);
-                preReleaseCommit = currentCommit;
-                return Release.readCurrentBranch(config.projectPath);
-            })
-            /* remember current branch and bump version to release version */
-            .then(function(currentBranch){
-                Release.debug("#perform:read DEV branch as " + currentBranch);
-                devBranch = currentBranch;
-                releaseVersion = config.releaseVersion || semver.inc(devVersion,'patch');
-                Release.debug("#perform:picked release version as " + releaseVersion+"; updating local DEV version to release");
-                return Release.updateVersion(config.projectPath,releaseVersion);
-            })
-            /* perform a build */
-            .then(function(){
-                Release.debug("#perform:executing build");
-                return config.buildPromise({
-                    releaseVersion: releaseVersion
+            fs.writeJsonSync(Release.journalPath(release.config.projectPath),{
+                config: config,
+                state: release.state
+            },{spaces: 2});
+        },
+        /**
+         * Remove the journal of a finished (or rolled back) release
+         * @param {string} projectRoot - project root
+         */
+        removeJournal: function(projectRoot){
+            fs.removeSync(Release.journalPath(projectRoot));
+        },
+        /**
+         * Run all release steps that have not completed yet and resolve with release information; the release is rolled back if any step fails
+         * @param {object} release - release in progress: an object with the release "config", serializable "state", an "events" emitter
+         *                           and a "mutate" function that performs (or, in dry-run mode, only records) a step that modifies the
+         *                           project or its remote
+         * @return {object} promise that resolves with release information or rejects with an error
+         */
+        runSteps: function(release){
+            var config = release.config,
+                state = release.state,
+                forwardGitEvent = function(event){
+                    release.events.emit('git',event);
+                };
+            if(release.events !== Release.events){
+                Release.events.on('git',forwardGitEvent);
+            }
+            return Release.steps.reduce(function(previous,step){
+                var stepStartTime;
+                return previous.then(function(){
+                    if(state.completedSteps.indexOf(step.name) !== -1){
+                        Release.debug("#perform:skipping completed step " + step.name);
+                        return;
+                    }
+                    /* an aborted release skips the remaining steps and is rolled back */
+                    Release.checkAborted(config.signal);
+                    stepStartTime = new Date().getTime();
+                    release.events.emit('step:start',{step: step.name, time: stepStartTime});
+                    return Release.runHooks(release,step.before).then(function(){
+                        return step.run(release);
+                    }).then(function(){
+                        return Release.runHooks(release,step.after);
+                    }).then(function(){
+                        state.stepDurations[step.name] = new Date().getTime() - stepStartTime;
+                        release.events.emit('step:end',{step: step.name, duration: state.stepDurations[step.name]});
+                    },function(error){
+                        release.events.emit('step:end',{step: step.name, duration: new Date().getTime() - stepStartTime, error: String(error)});
+                        throw error;
+                    }).then(function(){
+                        state.completedSteps.push(step.name);
+                        /* journal progress once there is a pre-release commit to roll back to */
+                        if(!config.dryRun && state.preReleaseCommit){
+                            Release.writeJournal(release);
+                        }
+                    });
                 });
+            },q())
+                /* release the lock; the release is complete even if that fails */
+                .then(function(){
+                    if(!state.lock){
+                        return;
+                    }
+                    return Release.unlock(config.projectPath,'origin',state.lock).then(function(){
+                        state.lock = null;
+                    },function(unlockError){
+                        Release.warn("could not remove release lock " + state.lock.ref + " from origin - " + unlockError);
+                    });
+                })
+                /* publish release information */
+                .then(function(){
+                    Release.debug("#perform:done");
+                    if(!config.dryRun){
+                        Release.removeJournal(config.projectPath);
+                    }
+                    var results = {
+                        releaseVersion: state.releaseVersion,
+                        devVersion: state.nextDevVersion,
+                        releaseTime: new Date().getTime() - state.releaseStartTime
+                    };
+                    if(config.workspaces){
+                        results.packages = state.packages.map(function(pkg){
+                            return {name: pkg.name, releaseVersion: pkg.releaseVersion, devVersion: pkg.nextDevVersion};
+                        });
+                    }
+                    if(config.dryRun){
+                        results.plannedSteps = release.plannedSteps;
+                    }
+                    if(state.manifest){
+                        results.manifest = state.manifest;
+                    }
+                    if(state.releasePages.length > 0){
+                        results.releasePages = state.releasePages.map(function(page){
+                            return {tagName: page.tagName, url: page.webUrl};
+                        });
+                    }
+                    /* the release is complete; a failing onSuccess hook does not roll it back */
+                    return Release.runHooks(release,'onSuccess',{results: results}).catch(function(hookError){
+                        Release.warn("onSuccess hook failed - " + hookError);
+                    }).then(function(){
+                        release.events.emit('done',{success: true, results: results});
+                        return results;
+                    });
+                })
+                /* catch any release errors and clean up */
+                .catch(function(error){
+                    Release.debug("#perform:error performing release - "+error);
+                    if(config.dryRun){
+                        /* nothing was modified; there is nothing to roll back */
+                        release.events.emit('done',{success: false, error: String(error), code: error.code});
+                        throw error;
+                    }
+                    return Release.rollback(release,error).then(function(rollbackFailures){
+                        /* aborted releases keep their error class (and message) */
+                        var aborted = error instanceof ReleaseAbortedError,
+                            ErrorClass = aborted ? ReleaseAbortedError : Error,
+                            message = aborted ? error.message : String(error),
+                            releaseError = new ErrorClass(message);
+                        if(rollbackFailures.length > 0){
+                            releaseError = new ErrorClass(message + '\nCould not undo the following changes; fix them by hand:\n - ' +
+                                rollbackFailures.join('\n - '));
+                            releaseError.rollbackFailures = rollbackFailures;
+                        }
+                        if(error && error.code){
+                            releaseError.code = error.code;
+                        }
+                        release.events.emit('done',{
+                            success: false,
+                            error: String(error),
+                            code: releaseError.code,
+                            rollbackFailures: rollbackFailures
+                        });
+                        throw releaseError;
+                    });
+                })
+                .finally(function(){
+                    Release.events.removeListener('git',forwardGitEvent);
+                });
+        },
+        /**
+         * Roll back a failed or aborted release: run onRollback hooks, undo pushed refs, reset the project to its pre-release commit,
+         * roll back post-release work and delete the release tag; removes the release journal
+         * @param {object} release - release in progress (see Release.runSteps)
+         * @param {object} error - error the release failed (or was aborted) with
+         * @return {object} promise that resolves to a list of changes that could not be undone
+         */
+        rollback: function(release,error){
+            var config = release.config,
+                state = release.state,
+                rollbackFailures = [],
+                /* a failing rollback stage is noted and does not keep the later stages from running */
+                rollbackStage = function(failure,action){
+                    return q.fcall(action).catch(function(stageError){
+                        Release.debug("#perform:" + failure + " - " + stageError);
+                        rollbackFailures.push(failure + ' (' + String(stageError && stageError.message || stageError).split('\n')[0] + ')');
+                    });
+                };
+            return Release.runHooks(release,'onRollback',{error: error}).catch(function(hookError){
+                Release.debug("#perform:onRollback hook failed - " + hookError);
+                rollbackFailures.push('onRollback hook failed (' + hookError.message.split('\n')[0] + ')');
+            }).then(function(){
+                /* delete release pages, noting any that remain */
+                var options = Release.releasePageOptions(config);
+                return state.releasePages.slice().reverse().reduce(function(previous,page){
+                    return previous.then(function(){
+                        return Release.releasePageProviders[options.provider].remove(options,page);
+                    }).catch(function(removeError){
+                        Release.debug("#perform:could not delete release page " + page.tagName + " - " + removeError);
+                        rollbackFailures.push(options.provider + ' release ' + page.tagName + ' remains (' + removeError.message.split('\n')[0] + ')');
+                    });
+                },q());
+            }).then(function(){
+                /* undo pushed refs, newest first, noting anything that can not be undone */
+                return state.pushedRefs.slice().reverse().reduce(function(previous,pushedRef){
+                    return previous.then(function(){
+                        return Release.undoPush(config.projectPath,'origin',pushedRef,pushedRef.preReleaseCommit || state.preReleaseCommit).catch(function(undoError){
+                            Release.debug("#perform:could not undo push of " + pushedRef.type + " " + pushedRef.name + " - " + undoError);
+                            rollbackFailures.push(pushedRef.type + ' ' + pushedRef.name + ' remains pushed to origin (' +
+                                undoError.message.split('\n')[0] + ')');
+                        });
+                    });
+                },q());
             })
-            /* commit release version */
-            .then(function(){
-                Release.debug("#perform:executed build; committing release version as "+releaseVersion);
-                return Release.commit(config.projectPath,'[release] - releasing ' + releaseVersion);
-            })
-            /* tag release */
-            .then(function(){
-                Release.debug("#perform:tagging release version");
-                return Release.tag(config.projectPath,'[release] - '+releaseVersion+' release', projectName + '-' + releaseVersion);
-            })
-            /* remember definitive release tag name and perform post-release tasks */
-            .then(function(tagName){
-                Release.debug("#perform:tagged "+tagName);
-                releaseTagName = tagName;
-                if(config.postReleasePromise){
-                    Release.debug("#perform:executing post release steps");
-                    var postReleaseCallResult = config.postReleasePromise({
-                        releaseVersion: releaseVersion
-                    });
-                    if(postReleaseCallResult){
-                        if(postReleaseCallResult.then){
-                            return postReleaseCallResult.then(function(result){
-                                postReleaseResult = result;
-                                return result;
+                .then(function(){
+                    /* git-flow: reset the main branch, go back to the develop branch (reset below) and drop the release branch */
+                    if(!state.releaseBranch){
+                        return;
+                    }
+                    return rollbackStage('branch ' + state.mainBranch + ' could not be reset to ' + state.mainPreReleaseCommit,function(){
+                        return Release.git(['merge','--abort'],config.projectPath).catch(function(){}).then(function(){
+                            return Release.git(['checkout','-q','-f',state.mainBranch],config.projectPath);
+                        }).then(function(){
+                            return Release.reset(config.projectPath,state.mainPreReleaseCommit);
+                        }).then(function(){
+                            return Release.git(['checkout','-q','-f',state.devBranch],config.projectPath);
+                        }).then(function(){
+                            return Release.git(['branch','-D',state.releaseBranch],config.projectPath).catch(function(){
+                                Release.debug("#perform:release branch " + state.releaseBranch + " was already deleted");
                             });
-                        }else if(postReleaseCallResult.rollback){
-                            postReleaseResult = Promise.resolve(postReleaseCallResult);
+                        });
+                    });
+                })
+                .then(function(){
+                    return rollbackStage('project could not be reset to ' + state.preReleaseCommit,function(){
+                        return Release.reset(config.projectPath,state.preReleaseCommit);
+                    });
+                })
+                .then(function(){
+                    /* drop the release manifest */
+                    return rollbackStage('release manifest could not be removed',function(){
+                        if(config.manifestFile && state.manifest){
+                            fs.removeSync(path.resolve(config.projectPath,config.manifestFile));
                         }
+                        if(state.manifestNoted){
+                            return Release.git(state.notesBefore ? ['update-ref',Release.manifestNotesRef,state.notesBefore] :
+                                ['update-ref','-d',Release.manifestNotesRef],config.projectPath);
+                        }
+                    });
+                })
+                .then(function(){
+                    Release.removePackedAssets(state);
+                    /* roll back post release task work if any was done */
+                    return rollbackStage('post-release work could not be rolled back',function(){
+                        if(release.postReleaseResult !== null && release.postReleaseResult !== undefined &&
+                            typeof(release.postReleaseResult.rollback) === 'function') {
+                            return release.postReleaseResult.rollback();
+                        }
+                    });
+                })
+                .then(function(){
+                    /* unpublish (or deprecate) published packages, noting anything that remains available */
+                    var options = config.publish === true ? {} : config.publish;
+                    return state.publishedPackages.slice().reverse().reduce(function(previous,published){
+                        var packageVersion = published.name + '@' + published.version;
+                        return previous.then(function(){
+                            return Release.unpublish(published.name,published.version,options,path.resolve(config.projectPath,published.path || '.'));
+                        }).then(function(outcome){
+                            if(outcome === 'deprecated'){
+                                rollbackFailures.push(packageVersion + ' could not be unpublished and was deprecated instead');
+                            }
+                        },function(unpublishError){
+                            Release.debug("#perform:could not unpublish " + packageVersion + " - " + unpublishError);
+                            rollbackFailures.push(packageVersion + ' remains published (' + unpublishError.message.split('\n')[0] + ')');
+                        });
+                    },q());
+                })
+                .then(function(){
+                    return state.createdTags.slice().reverse().reduce(function(previous,tagName){
+                        return previous.then(function(){
+                            return rollbackStage('tag ' + tagName + ' could not be deleted',function(){
+                                return Release.deleteTag(config.projectPath,tagName);
+                            });
+                        });
+                    },q());
+                })
+                .then(function(){
+                    if(!state.lock){
+                        return;
                     }
+                    return rollbackStage('release lock ' + state.lock.ref + ' remains on origin',function(){
+                        return Release.unlock(config.projectPath,'origin',state.lock);
+                    });
+                })
+                .then(function(){
+                    return rollbackStage('release journal could not be removed',function(){
+                        Release.removeJournal(config.projectPath);
+                    });
+                })
+                .then(function(){
+                    release.events.emit('rollback',{error: String(error), rollbackFailures: rollbackFailures});
+                    return rollbackFailures;
+                });
+        },
+        /**
+         * Create a new release in progress for a configuration
+         * @param {object} config - release configuration (see Release.perform)
+         * @param {object} state - optional release state to continue from (e.g. read from a journal)
+         * @return {object} release in progress (see Release.runSteps)
+         */
+        beginRelease: function(config,state){
+            var release = {
+                config: config,
+                state: state || {
+                    projectName: null,
+                    devVersion: null,
+                    preReleaseCommit: null,
+                    devBranch: null,
+                    bump: null,
+                    releaseVersion: null,
+                    releaseTagName: null,
+                    releaseNotes: null,
+                    packages: [],
+                    workspacePackages: [],
+                    versionFiles: [],
+                    releaseFiles: [],
+                    createdTags: [],
+                    publishedPackages: [],
+                    nextDevVersion: null,
+                    pushedRefs: [],
+                    lock: null,
+                    pinnedDependencies: [],
+                    releasePages: [],
+                    packedAssets: {},
+                    releaseBranch: null,
+                    mainBranch: null,
+                    mainPreReleaseCommit: null,
+                    manifest: null,
+                    manifestNoted: false,
+                    notesBefore: null,
+                    notesCommit: null,
+                    completedSteps: [],
+                    stepDurations: {},
+                    releaseStartTime: new Date().getTime()
+                },
+                hooks: Release.registerHooks(config),
+                events: config.events || new EventEmitter(),
+                postReleaseResult: null,
+                plannedSteps: []
+            };
+            release.mutate = function(description,action){
+                if(config.dryRun){
+                    Release.debug("#perform:[dry-run] " + description);
+                    release.plannedSteps.push(description);
+                    return q();
                 }
-            })
-            /* bump to next dev version */
-            .then(function(){
-                nextDevVersion = config.nextDevVersion || semver.inc(releaseVersion,'patch') + '-SNAPSHOT';
-                Release.debug("#perform:picked next DEV version as " + nextDevVersion);
-                return Release.updateVersion(config.projectPath,nextDevVersion);
-            })
-            /* commit dev version */
-            .then(function(){
-                Release.debug("#perform:committing next DEV version");
-                return Release.commit(config.projectPath,'[release] - updating dev version to '+nextDevVersion);
-            })
-            /* push tag upstream */
-            .then(function(){
-                Release.debug("#perform:pushing released tag");
-                return Release.push(config.projectPath,'origin',projectName + '-' + releaseVersion);
-            })
-            /* push dev version */
-            .then(function(){
-                Release.debug("#perform:pushing DEV version (" + devBranch+")");
-                return Release.push(config.projectPath,'origin',devBranch);
-            })
-            /* publish release information */
-            .then(function(){
-                Release.debug("#perform:done");
+                return action();
+            };
+            return release;
+        },
+        /**
+         * Perform a release given a release configuration consisting of at least a <code>projectPath</code> and <code>buildPromise</code>;
+         * progress is recorded in a journal (see Release.journalPath) so an interrupted release can be resumed (Release.resume) or rolled back (Release.abort)
+         * @param {object}  config                       - required release configuration
+         * @param {string}  config.projectPath           - required node project file system path
+         * @param {string}  config.buildPromise          - required function (unless a build command is configured) that is supplied an object
+         *                                                 with "releaseVersion" and released "packages" and returns a build promise or status
+         * @param {array}   config.build                 - optional shell command (or array of commands run one after another) to build with
+         *                                                 instead of buildPromise; commands run in projectPath with RELEASE_VERSION, DEV_VERSION
+         *                                                 and RELEASE_TAG environment variables (see Release.commandBuild)
+         * @param {number}  config.buildTimeout          - optional time (ms) after which a build command is killed and fails
+         * @param {string}  config.buildLog              - optional file (relative to projectPath) to append build command output to; its last
+         *                                                 lines are included in build failure errors (ignore it in git if it is inside the project)
+         * @param {object}  config.postReleasePromise    - optional function that is supplied an object with "releaseVersion" and released "packages"
+         *                                                 and returns a post-release promise or status
+         * @param {string}  config.releaseVersion        - optional release version (automatically selected otherwise)
+         * @param {string}  config.nextDevVersion        - optional next dev version (automatically selected otherwise)
+         * @param {string}  config.scheme                - optional versioning scheme (see Release.versionSchemes): 'snapshot' (default) releases
+         *                                                 SNAPSHOT versions, 'semver' releases the project version as is and 'prerelease'
+         *                                                 releases it on the preid channel
+         * @param {string}  config.preid                 - prerelease channel identifier (e.g. beta) of the prerelease versioning scheme
+         * @param {boolean} config.graduate              - optional flag that releases a prerelease without its prerelease identifiers
+         *                                                 (e.g. 2.0.0-beta.3 as 2.0.0) with the prerelease versioning scheme
+         * @param {string}  config.bump                  - optional version bump used to pick release and next dev versions: one of
+         *                                                 'major', 'minor', 'patch' (default) or 'auto' (inferred from conventional commits)
+         * @param {string}  config.changelog             - optional changelog file (relative to projectPath, or true for CHANGELOG.md) that gets
+         *                                                 release notes generated from commits since the previous release added and committed
+         *                                                 with the release version; the notes also become the release tag message
+         * @param {boolean} config.workspaces            - optional flag that releases the npm workspace packages listed in the projectPath package.json
+         *                                                 "workspaces" field that changed since their last release, in one release commit with a
+         *                                                 <name>-<version> tag per package; internal dependency ranges on released packages are rewritten
+         * @param {boolean} config.lockstep              - optional flag that releases all workspace packages whether they changed or not
+         * @param {object}  config.publish               - optional npm publish options (or true for npm defaults) with a registry URL, dist-tag and
+         *                                                 access level; released packages are packed from the release commit and published,
+         *                                                 and unpublished (or deprecated) again if the release fails later on
+         * @param {object}  config.releasePage           - optional release page options (or true for GitHub defaults) with a provider (github or
+         *                                                 gitlab), repository (origin's by default), apiUrl, tokenEnv (GITHUB_TOKEN or GITLAB_TOKEN
+         *                                                 by default), assets (files to upload) and pack flag (upload the npm pack tarball);
+         *                                                 a release page with the tag message is created for every pushed tag and deleted
+         *                                                 again if the release fails later on (see Release.releasePageProviders)
+         * @param {object}  config.hooks                 - optional lifecycle hook functions (or arrays of functions) by hook name (see Release.hookNames);
+         *                                                 hooks are supplied the release context and may return a promise
+         * @param {array}   config.plugins               - optional plugins: objects with hook functions by hook name, or module names
+         *                                                 (or [module name, options] arrays) of modules exporting them
+         * @param {array}   config.versionFiles          - optional additional files (relative to projectPath) to update the version in, as objects with
+         *                                                 a path and either a pattern (regular expression source whose first capture group is
+         *                                                 the version) or a jsonPath (e.g. "meta.version")
+         * @param {string}  config.tagFormat             - optional release tag name template (${name}-${version} by default; see Release.templates)
+         * @param {string}  config.tagMessage            - optional release tag message template used without release notes
+         *                                                 ([release] - ${version} release by default)
+         * @param {string}  config.commitMessage         - optional release commit message template ([release] - releasing ${version} by default)
+         * @param {string}  config.devCommitMessage      - optional dev version commit message template
+         *                                                 ([release] - updating dev version to ${version} by default)
+         * @param {boolean} config.sign                  - optional flag that GPG-signs release commits and tags with the user's signing key
+         * @param {array}   config.branches              - optional branch policy: branch names, * patterns (e.g. release/*) or regular expressions
+         *                                                 a release may be performed from
+         * @param {array}   config.skipChecks            - optional names of pre-flight checks to skip (see Release.preflightChecks): branch, remote,
+         *                                                 sync, tag, dependencies or version
+         * @param {boolean} config.pinDependencies       - optional flag that pins git branch ref dependencies (e.g. user/repo#master) to the newest
+         *                                                 <name>-<version> release tag of their repository in the release commit (instead
+         *                                                 of failing the dependencies pre-flight check); the dev version commit restores them
+         * @param {boolean} config.atomicPush            - optional flag that pushes release tag and dev branch in a single atomic push
+         *                                                 (refs are pushed one by one if the remote does not support atomic pushes)
+         * @param {boolean} config.lock                  - optional flag that claims a refs/release-lock/<branch> ref on origin before
+         *                                                 changing anything so concurrent releases of the branch fail (RELEASE_LOCKED);
+         *                                                 the lock records its owner and start time and is removed when the release ends
+         * @param {string}  config.lockOwner             - optional lock owner (user@host (pid) by default; see Release.lockOwner)
+         * @param {boolean} config.forceUnlock           - optional flag that removes a stale lock of the branch before claiming it
+         * @param {boolean} config.manifest              - optional flag that records a release manifest (see Release.createManifest) as a git
+         *                                                 note on the release commit in refs/notes/release, pushed with the release tag
+         * @param {string}  config.manifestFile          - optional file (relative to projectPath) to also write the manifest to (implies manifest)
+         *                                                 that must be git-ignored or outside the project (see Release.checkManifestFile)
+         * @param {object}  config.events                - optional EventEmitter the release emits progress events on: "step:start" (step, time),
+         *                                                 "step:end" (step, duration and error if it failed), "git" (command, cwd, exitCode,
+         *                                                 duration), "rollback" (error, rollbackFailures) and "done" (success and results,
+         *                                                 or error, code and rollbackFailures)
+         * @param {string}  config.flow                  - optional release flow: 'gitflow' releases the develop branch through a release/<version>
+         *                                                 branch that is merged into the main branch (where the merge is tagged) and back into
+         *                                                 the develop branch, which gets the next dev version; main, develop and the tags are pushed
+         * @param {string}  config.mainBranch            - optional git-flow main branch ('main' by default)
+         * @param {string}  config.developBranch         - optional git-flow develop branch ('develop' by default)
+         * @param {boolean} config.hotfix                - optional flag (set by Release.hotfix) that only requires release versions to be newer than
+         *                                                 the releases of their major.minor line
+         * @param {boolean} config.debug                 - optional flag that specifies whether or not to log debug messages
+         * @param {boolean} config.dryRun                - optional flag that runs all checks and picks versions but only records (and logs) the
+         *                                                 version changes, builds, commits, tags and pushes a release would perform
+         * @param {object}  config.signal                - optional AbortSignal that aborts the release: build commands are killed, the remaining
+         *                                                 steps are skipped and the release is rolled back; buildPromise functions are supplied
+         *                                                 the signal after the release information
+         * @return {object} promise that resolves with release information (releaseVersion,devVersion,releaseTime and, for workspace releases,
+         *                  packages, for dry runs, plannedSteps or, with a manifest, the manifest)
+         *                  or rejects with an error (a ReleaseAbortedError if the release was aborted)
+         */
+        perform: function(config){
+            config = Release.applyDefaults(config);
+            Release.validateConfig(config);
+            if(Release.readJournal(config.projectPath)){
+                return q.reject(new Error('A previous release of ' + config.projectPath + ' was interrupted (see ' + Release.journalPath(config.projectPath) +
+                    '); resume or abort it prior to running a release'));
+            }
+            return Release.runSteps(Release.beginRelease(config));
+        },
+        /**
+         * Resume an interrupted release from its journal, running only the steps that did not complete
+         * @param {object} config - release configuration (see Release.perform); options recorded in the journal are used unless overridden
+         * @return {object} promise that resolves with release information or rejects with an error
+         */
+        resume: function(config){
+            config = Release.applyDefaults(config);
+            Release.validateConfig(config,true);
+            var journal = Release.readJournal(config.projectPath);
+            if(!journal){
+                return q.reject(new Error('There is no interrupted release of ' + config.projectPath + ' to resume'));
+            }
+            Release.debug("#resume:resuming release of " + journal.state.releaseVersion + " after " + journal.state.completedSteps.join(', '));
+            var resumeConfig = {};
+            [journal.config,config].forEach(function(source){
+                Object.keys(source).forEach(function(key){
+                    if(source[key] !== undefined){
+                        resumeConfig[key] = source[key];
+                    }
+                });
+            });
+            /* build commands may come from the journal */
+            Release.validateConfig(resumeConfig);
+            return Release.runSteps(Release.beginRelease(resumeConfig,journal.state));
+        },
+        /**
+         * Roll back an interrupted release recorded in a journal; post-release work can not be rolled back as its result did not survive the interruption
+         * @param {object} config - configuration with a projectPath and optional debug flag and events emitter (see Release.perform)
+         * @return {object} promise that resolves with the aborted release version, its completed steps and remote changes that could not be undone
+         */
+        abort: function(config){
+            config = Release.applyDefaults(config);
+            if(!config || !config.projectPath){
+                throw new Error("Release requires a projectPath configuration");
+            }
+            Release.logLevel = config.debug ? 'debug' : options.logLevel || 'info';
+            var journal = Release.readJournal(config.projectPath);
+            if(!journal){
+                return q.reject(new Error('There is no interrupted release of ' + config.projectPath + ' to abort'));
+            }
+            Release.debug("#abort:rolling back release of " + journal.state.releaseVersion + " after " + journal.state.completedSteps.join(', '));
+            journal.config.projectPath = config.projectPath;
+            journal.config.events = config.events;
+            return Release.rollback(Release.beginRelease(journal.config,journal.state),new Error('Release aborted')).then(function(rollbackFailures){
                 return {
-                    releaseVersion: releaseVersion,
-                    devVersion: nextDevVersion,
-                    releaseTime: new Date().getTime() - releaseStartTime
+                    releaseVersion: journal.state.releaseVersion,
+                    completedSteps: journal.state.completedSteps,
+                    rollbackFailures: rollbackFailures
                 };
-            })
-            /* catch any release errors and clean up */
-            .catch(function(error){
-                Release.debug("#perform:error performing release - "+error);
-                return Release.reset(config.projectPath,preReleaseCommit)
-                    .then(function(){
-                        /* roll back post release task work if any was done */
-                        if(postReleaseResult !== null && postReleaseResult !== undefined &&
-                            typeof(postReleaseResult.rollback) === 'function') {
-                            return postReleaseResult.rollback();
-                        }
-                    })
-                    .then(function(){
-                        return Release.deleteTag(config.projectPath,releaseTagName);
-                    })
-                    .then(function(){
-                        throw new Error(error);
+            });
+        },
+        /**
+         * Inspect the versions a release would pick without modifying anything
+         * @param {object} config - release configuration (see Release.perform) without a buildPromise
+         * @return {object} promise that resolves with the projectName, branch and released packages (all workspace packages for workspace
+         *                  projects) with their name, path, version, releaseVersion, nextDevVersion and lastReleaseTag (null if there is none);
+         *                  version, releaseVersion, nextDevVersion and lastReleaseTag are also set if shared by all packages
+         */
+        status: function(config){
+            config = Release.applyDefaults(config);
+            Release.validateConfig(config,true);
+            var inspectConfig = {},
+                release;
+            Object.keys(config).forEach(function(key){
+                inspectConfig[key] = config[key];
+            });
+            inspectConfig.dryRun = true;
+            release = Release.beginRelease(inspectConfig);
+            return ['checkVersion','readBranch','pickReleaseVersion'].reduce(function(previous,stepName){
+                return previous.then(function(){
+                    return Release.steps.filter(function(step){
+                        return step.name === stepName;
+                    })[0].run(release);
+                });
+            },q()).then(function(){
+                return q.all(release.state.packages.map(function(pkg){
+                    return Release.readLastReleaseTag(config.projectPath,pkg.name,config.tagFormat);
+                }));
+            }).then(function(lastReleaseTags){
+                var packages = release.state.packages.map(function(pkg,index){
+                    return {
+                        name: pkg.name,
+                        path: pkg.path,
+                        version: pkg.devVersion,
+                        releaseVersion: pkg.releaseVersion,
+                        nextDevVersion: Release.pickNextDevVersion(config,pkg),
+                        lastReleaseTag: lastReleaseTags[index]
+                    };
+                });
+                return {
+                    projectName: release.state.projectName,
+                    branch: release.state.devBranch,
+                    version: Release.sharedValue(packages,'version'),
+                    releaseVersion: Release.sharedValue(packages,'releaseVersion'),
+                    nextDevVersion: Release.sharedValue(packages,'nextDevVersion'),
+                    lastReleaseTag: Release.sharedValue(packages,'lastReleaseTag'),
+                    packages: packages
+                };
+            });
+        },
+        /**
+         * List past releases of a project (of all workspace packages for workspace projects)
+         * @param {object} config - release configuration (see Release.perform) without a buildPromise
+         * @return {object} promise that resolves to an array of release tags with a package name, tagName, version and date, newest first
+         */
+        history: function(config){
+            config = Release.applyDefaults(config);
+            Release.validateConfig(config,true);
+            var names = config.workspaces ? Release.readWorkspacePackages(config.projectPath).then(function(workspacePackages){
+                return workspacePackages.map(function(pkg){
+                    return pkg.name;
+                });
+            }) : q([fs.readJsonSync(config.projectPath+'/package.json').name]);
+            return names.then(function(projectNames){
+                return q.all(projectNames.map(function(projectName){
+                    return Release.readReleaseTags(config.projectPath,projectName,config.tagFormat);
+                }));
+            }).then(function(tagsPerName){
+                return [].concat.apply([],tagsPerName).sort(function(a,b){
+                    return new Date(b.date).getTime() - new Date(a.date).getTime();
+                });
+            });
+        },
+        /**
+         * Maintenance branch hotfix releases of a major.minor line are made on
+         * @param {string} version - released version of the line (e.g. 1.4.2)
+         * @return {string} branch name (e.g. maintenance/1.4)
+         */
+        maintenanceBranch: function(version){
+            return 'maintenance/' + semver.major(version) + '.' + semver.minor(version);
+        },
+        /**
+         * Perform a hotfix (patch) release of an older release line: the maintenance branch of the line (see Release.maintenanceBranch)
+         * is checked out if it exists locally or on origin, or created at the release tag with the next patch dev version committed
+         * otherwise; the release is then performed (and pushed) from the maintenance branch and the previously checked out branch
+         * is checked out again.  The versions of other branches are never changed.
+         * @param {object} config         - release configuration (see Release.perform)
+         * @param {string} config.fromTag - required release tag to fix (e.g. project-1.4.2)
+         * @return {object} promise that resolves with release information (see Release.perform) and the maintenance branch or rejects with an error
+         */
+        hotfix: function(config){
+            config = Release.applyDefaults(config);
+            Release.validateConfig(config);
+            if(!config.fromTag){
+                throw new Error("Release hotfix requires a fromTag configuration");
+            }
+            if(config.bump && config.bump !== 'patch'){
+                throw new Error("Release hotfix only supports patch version bumps");
+            }
+            if(config.workspaces){
+                throw new Error("Release hotfix does not support workspace releases");
+            }
+            var projectPath = config.projectPath,
+                name = fs.readJsonSync(projectPath+'/package.json').name,
+                version = Release.tagVersion(config.fromTag,name,config.tagFormat),
+                hotfixConfig = {},
+                originalBranch,
+                branch,
+                createdBranch = false;
+            if(version === null){
+                throw new Error(config.fromTag + " is not a release tag of " + name);
+            }
+            branch = Release.maintenanceBranch(version);
+            Object.keys(config).forEach(function(key){
+                hotfixConfig[key] = config[key];
+            });
+            hotfixConfig.bump = 'patch';
+            hotfixConfig.hotfix = true;
+            return Release.checkUncommitted(projectPath).then(function(){
+                return Release.readCurrentBranch(projectPath);
+            }).then(function(currentBranch){
+                originalBranch = currentBranch;
+                return Release.refExists(projectPath,config.fromTag+'^{commit}');
+            }).then(function(exists){
+                if(!exists){
+                    throw new Error("Release tag " + config.fromTag + " does not exist");
+                }
+                return Release.fetch(projectPath,'origin');
+            }).then(function(){
+                return q.all([
+                    Release.refExists(projectPath,'refs/heads/'+branch),
+                    Release.refExists(projectPath,'refs/remotes/origin/'+branch)
+                ]);
+            }).spread(function(localBranch,remoteBranch){
+                if(localBranch){
+                    Release.debug("#hotfix:reusing " + branch);
+                    return Release.checkout(projectPath,branch);
+                }
+                if(remoteBranch){
+                    Release.debug("#hotfix:checking out " + branch + " from origin");
+                    return Release.checkout(projectPath,branch,'origin/'+branch);
+                }
+                /* start the maintenance line at the release with the next patch dev version */
+                var devVersion = Release.versionScheme(config).nextDevVersion(version,'patch',config);
+                Release.debug("#hotfix:creating " + branch + " at " + config.fromTag + " with dev version " + devVersion);
+                return Release.checkout(projectPath,branch,config.fromTag).then(function(){
+                    createdBranch = true;
+                    return Release.updateVersion(projectPath,devVersion);
+                }).then(function(){
+                    return Release.updateVersionFiles(projectPath,config.versionFiles,devVersion);
+                }).then(function(){
+                    return Release.listCommitFiles(config,['package.json']);
+                }).then(function(files){
+                    return Release.commit(projectPath,Release.formatTemplate(Release.template(config,'devCommitMessage'),{
+                        name: name,
+                        version: devVersion,
+                        branch: branch
+                    }),files,config.sign);
+                });
+            }).then(function(){
+                return Release.perform(hotfixConfig);
+            }).then(function(results){
+                results.branch = branch;
+                return results;
+            }).finally(function(){
+                if(!originalBranch){
+                    return;
+                }
+                return Release.readCurrentBranch(projectPath).then(function(currentBranch){
+                    if(currentBranch !== originalBranch){
+                        return Release.checkout(projectPath,originalBranch);
+                    }
+                }).then(function(){
+                    return createdBranch ? Release.refExists(projectPath,'refs/remotes/origin/'+branch) : true;
+                }).then(function(pushed){
+                    /* drop a maintenance branch created for a release that failed before pushing it */
+                    if(!pushed){
+                        return Release.git(['branch','-D',branch],projectPath);
+                    }
+                });
+            });
+        },
+        /**
+         * Unique version of a snapshot build: the dev version's prerelease identifiers (SNAPSHOT if it has none) followed by the
+         * UTC build time to the minute and the short commit hash (e.g. 1.2.4-SNAPSHOT.20261019T1200.1a2b3c4)
+         * @param {string} devVersion - current dev version
+         * @param {object} time - build time (Date)
+         * @param {string} commit - built commit
+         * @return {string} snapshot version
+         */
+        snapshotVersion: function(devVersion,time,commit){
+            var parsed = semver.parse(devVersion),
+                shortCommit = commit.slice(0,7);
+            /* numeric prerelease identifiers must not have leading zeros */
+            if(/^\d+$/.test(shortCommit)){
+                shortCommit = 'g' + shortCommit;
+            }
+            return [parsed.major,parsed.minor,parsed.patch].join('.') + '-' +
+                (parsed.prerelease.length > 0 ? parsed.prerelease.join('.') : 'SNAPSHOT') + '.' +
+                time.toISOString().replace(/[-:]/g,'').slice(0,13) + '.' + shortCommit;
+        },
+        /**
+         * Build (and run post-release tasks for) an intermediate snapshot version of the current commit without tagging, committing
+         * or bumping anything: the version files (see Release.listVersionFiles) get a unique snapshot version (see Release.snapshotVersion)
+         * for the build only and are restored afterwards, whether the build succeeds or not
+         * @param {object} config - release configuration (see Release.perform) with a buildPromise (or build command) and optional
+         *                          postReleasePromise, both supplied the snapshot version as releaseVersion
+         * @return {object} promise that resolves with the snapshot version (releaseVersion), the unchanged devVersion, the built commit
+         *                  and the releaseTime or rejects with an error
+         */
+        snapshot: function(config){
+            config = Release.applyDefaults(config);
+            Release.validateConfig(config);
+            if(config.workspaces){
+                throw new Error("Release snapshot does not support workspace releases");
+            }
+            var projectPath = config.projectPath,
+                startTime = new Date(),
+                originals = {},
+                snapshot = {releaseVersion: null, devVersion: null, commit: null, releaseTime: null},
+                releaseInfo;
+            return Release.checkVersion(projectPath,config.scheme).then(function(packageInfo){
+                snapshot.devVersion = packageInfo.version;
+                releaseInfo = {releaseVersion: null, packages: [{name: packageInfo.name, path: '.', devVersion: packageInfo.version, tagName: null}]};
+                return Release.checkUncommitted(projectPath);
+            }).then(function(){
+                return Release.readCurrentCommit(projectPath);
+            }).then(function(commit){
+                snapshot.commit = commit;
+                snapshot.releaseVersion = releaseInfo.releaseVersion = releaseInfo.packages[0].releaseVersion =
+                    Release.snapshotVersion(snapshot.devVersion,startTime,commit);
+                Release.debug("#snapshot:building snapshot version " + snapshot.releaseVersion);
+                Release.listVersionFiles(config,['package.json']).forEach(function(file){
+                    originals[file] = fs.readFileSync(projectPath+'/'+file);
+                });
+                return Release.updateVersion(projectPath,snapshot.releaseVersion).then(function(){
+                    return Release.updateVersionFiles(projectPath,config.versionFiles,snapshot.releaseVersion);
+                }).then(function(){
+                    return Release.buildFunction(config)(releaseInfo);
+                }).then(function(){
+                    if(config.postReleasePromise){
+                        Release.debug("#snapshot:executing post release steps");
+                        return config.postReleasePromise(releaseInfo);
+                    }
+                }).finally(function(){
+                    Object.keys(originals).forEach(function(file){
+                        fs.writeFileSync(projectPath+'/'+file,originals[file]);
                     });
+                });
+            }).then(function(){
+                snapshot.releaseTime = new Date().getTime() - startTime.getTime();
+                return snapshot;
             });
-    }
+        },
+        /**
+         * Read the manifest recorded for a release (see Release.perform manifest), fetching release manifests from origin first
+         * @param {string} version - released version
+         * @param {object} config - optional configuration with a projectPath (the instance cwd or else the current directory by default),
+         *                          tagFormat and, for workspace packages, a package name
+         * @return {object} promise that resolves to the release manifest or rejects if the release has none
+         */
+        readManifest: function(version,config){
+            var projectPath,
+                tagName;
+            return q.fcall(function(){
+                config = Release.applyDefaults(config || {},Release.cwd || process.cwd());
+                Release.validateConfig(config,true);
+                projectPath = config.projectPath;
+                return Release.readCurrentBranch(projectPath);
+            }).then(function(branch){
+                var name = config.name || fs.readJsonSync(projectPath+'/package.json').name;
+                tagName = Release.formatTemplate(Release.template(config,'tagFormat'),{name: name, version: version, branch: branch});
+                return Release.fetchManifests(projectPath,'origin');
+            }).then(function(){
+                return Release.git(['notes','--ref='+Release.manifestNotesRef,'show',tagName+'^{commit}'],projectPath).catch(function(){
+                    throw new Error('There is no release manifest of ' + tagName);
+                });
+            }).then(function(result){
+                return JSON.parse(result.stdout);
+            });
+        },
+        /**
+         * Revert a published release: the release commits are reverted on the dev branch (or the branch is reset to before the release
+         * and force-pushed), the release tag is deleted locally and on origin and then an unpublish hook is run.  Nothing is changed if
+         * anyone else committed on the branch after the release, if the release is not the latest one or if the branch is out of
+         * sync with origin.
+         * @param {object}   config             - release configuration (see Release.perform) without a buildPromise
+         * @param {string}   config.projectPath - required node project file system path
+         * @param {string}   config.version     - required released version to revert
+         * @param {boolean}  config.forcePush   - optional flag that resets the dev branch to the commit before the release and force-pushes it
+         *                                        instead of adding revert commits (refused if commits were made after the release)
+         * @param {function} config.unpublish   - optional function that is supplied an object with the "name", "version" and "tagName"
+         *                                        of the reverted release and undoes its publication (may return a promise), or a shell
+         *                                        command run in projectPath with RELEASE_VERSION and RELEASE_TAG environment variables
+         * @return {object} promise that resolves with the reverted release's name, version, tagName and branch, the revertedCommits
+         *                  (hashes of the reverted release commits) and the commit the branch was reset to (resetTo, for force pushes)
+         */
+        revert: function(config){
+            config = Release.applyDefaults(config);
+            Release.validateConfig(config,true);
+            if(!config.version){
+                throw new Error("Release revert requires a version configuration");
+            }
+            if(config.workspaces){
+                throw new Error("Release revert does not support workspace releases");
+            }
+            var projectPath = config.projectPath,
+                reverted = {
+                    name: fs.readJsonSync(projectPath+'/package.json').name,
+                    version: config.version,
+                    tagName: null,
+                    branch: null,
+                    revertedCommits: [],
+                    resetTo: null
+                },
+                releaseCommits,
+                preReleaseRevision;
+            return Release.readCurrentBranch(projectPath).then(function(branch){
+                reverted.branch = branch;
+                reverted.tagName = Release.formatTemplate(Release.template(config,'tagFormat'),{
+                    name: reverted.name,
+                    version: reverted.version,
+                    branch: branch
+                });
+                Release.debug("#revert:reverting " + reverted.tagName + " on " + branch);
+                return Release.checkUncommitted(projectPath);
+            }).then(function(){
+                return Release.fetch(projectPath,'origin');
+            }).then(function(){
+                return Release.readSyncStatus(projectPath,'origin',reverted.branch);
+            }).then(function(status){
+                if(status.ahead > 0 || status.behind > 0){
+                    throw Release.checkError('RELEASE_BRANCH_OUT_OF_SYNC','Branch ' + reverted.branch + ' is ' + status.ahead + ' commit(s) ahead of and ' +
+                        status.behind + ' commit(s) behind origin/' + reverted.branch + '; push or pull prior to reverting a release');
+                }
+                return Release.readReleaseVersions(projectPath,reverted.name,config.tagFormat);
+            }).then(function(versions){
+                if(versions.indexOf(reverted.version) === -1){
+                    throw new Error('There is no release tag ' + reverted.tagName + ' to revert');
+                }
+                var laterVersions = versions.filter(function(version){
+                    return semver.gt(version,reverted.version);
+                });
+                if(laterVersions.length > 0){
+                    throw new Error('Can not revert ' + reverted.tagName + ' before reverting the later releases ' + laterVersions.join(', '));
+                }
+                return Release.git(['merge-base','--is-ancestor',reverted.tagName,'HEAD'],projectPath).catch(function(){
+                    throw new Error('Release tag ' + reverted.tagName + ' is not on branch ' + reverted.branch);
+                });
+            }).then(function(){
+                return q.all([
+                    Release.readCommits(projectPath,reverted.tagName+'^{commit}',1),
+                    Release.readCommits(projectPath,reverted.tagName+'..HEAD')
+                ]);
+            }).spread(function(tagCommits,laterCommits){
+                var isRelease = function(commit){
+                        return Release.isReleaseCommit(config,commit.subject);
+                    },
+                    otherCommits = laterCommits.filter(function(commit){
+                        return !isRelease(commit);
+                    }),
+                    describeCommits = function(commits){
+                        return commits.map(function(commit){
+                            return commit.commit.slice(0,7) + ' by ' + commit.author;
+                        }).join(', ');
+                    },
+                    foreignCommits;
+                /* newest first: the dev version commit, then the release commit (unless the tag is on the pre-release commit) */
+                releaseCommits = laterCommits.filter(isRelease).concat(isRelease(tagCommits[0]) ? [tagCommits[0]] : []);
+                preReleaseRevision = isRelease(tagCommits[0]) ? tagCommits[0].commit+'^' : tagCommits[0].commit;
+                if(releaseCommits.length === 0){
+                    throw new Error('Found no release commits of ' + reverted.tagName + ' to revert');
+                }
+                foreignCommits = otherCommits.filter(function(commit){
+                    return commit.author !== releaseCommits[0].author;
+                });
+                if(foreignCommits.length > 0){
+                    throw Release.checkError('RELEASE_REVERT_UNSAFE','Can not revert ' + reverted.tagName + ' as other authors committed after the release: ' +
+                        describeCommits(foreignCommits));
+                }
+                if(config.forcePush && otherCommits.length > 0){
+                    throw Release.checkError('RELEASE_REVERT_UNSAFE','Can not reset ' + reverted.branch + ' to before ' + reverted.tagName +
+                        ' without discarding the later commits ' + describeCommits(otherCommits) + '; revert without forcing a push instead');
+                }
+            }).then(function(){
+                if(config.forcePush){
+                    return Release.git(['rev-parse','--verify',preReleaseRevision],projectPath).then(function(result){
+                        reverted.resetTo = result.stdout.trim();
+                        Release.debug("#revert:resetting " + reverted.branch + " to " + reverted.resetTo);
+                        return Release.undoPush(projectPath,'origin',{type: 'branch', name: reverted.branch},reverted.resetTo);
+                    }).then(function(){
+                        return Release.reset(projectPath,reverted.resetTo);
+                    });
+                }
+                return Release.readCurrentCommit(projectPath).then(function(headCommit){
+                    return releaseCommits.reduce(function(previous,commit){
+                        return previous.then(function(){
+                            Release.debug("#revert:reverting " + commit.commit + " " + commit.subject);
+                            return Release.git(['revert','--no-edit'].concat(config.sign ? ['-S'] : []).concat([commit.commit]),projectPath);
+                        }).then(function(){
+                            reverted.revertedCommits.push(commit.commit);
+                        });
+                    },q()).then(function(){
+                        return Release.push(projectPath,'origin',reverted.branch);
+                    }).catch(function(error){
+                        /* leave the branch as it was if the release commits can not be reverted (e.g. due to conflicts) or pushed */
+                        return Release.git(['revert','--abort'],projectPath).catch(function(){}).then(function(){
+                            return Release.reset(projectPath,headCommit);
+                        }).then(function(){
+                            throw error;
+                        });
+                    });
+                });
+            }).then(function(){
+                return Release.remoteTagExists(projectPath,'origin',reverted.tagName);
+            }).then(function(exists){
+                if(exists){
+                    return Release.undoPush(projectPath,'origin',{type: 'tag', name: reverted.tagName});
+                }
+            }).then(function(){
+                return Release.deleteTag(projectPath,reverted.tagName);
+            }).then(function(){
+                /* unpublish only once the release is reverted, so a failed revert leaves the published package in place */
+                if(typeof(config.unpublish) === 'function'){
+                    Release.debug("#revert:running unpublish hook");
+                    return config.unpublish({name: reverted.name, version: reverted.version, tagName: reverted.tagName});
+                }
+                if(config.unpublish){
+                    Release.debug("#revert:running unpublish command");
+                    return Release.runCommand(config.unpublish,{
+                        cwd: projectPath,
+                        env: {RELEASE_VERSION: reverted.version, RELEASE_TAG: reverted.tagName}
+                    });
+                }
+            }).then(function(){
+                Release.debug("#revert:reverted " + reverted.tagName);
+                return reverted;
+            });
+        }
+    };
+    return Release;
 };
+/* default instance */
+var Release = createRelease();
 /* check whether or not this is being executed from the CLI */
 if(!module.parent){
     /* release is being run directly; parse args */
-    var cliArgs = minimist(process.argv.slice(2));
+    var cliArgs = minimist(process.argv.slice(2)),
+        cliCommands = ['perform','status','next-version','history','revert','snapshot','hotfix'],
+        cliCommand = cliArgs._[0] || 'perform';
     if(cliArgs.help){
         console.log('usage:');
-        console.log('node ' + process.argv[1] + ' [-p path to project (. by default)] [--releaseVersion release version] [--devVersion next dev version] [--debug debug flag] [--build buildCmd]');
+        console.log('node ' + process.argv[1] + ' [' + cliCommands.join('|') + '] [-p path to project (. by default)] [--releaseVersion release version] [--devVersion next dev version] [--debug debug flag] [--bump major|minor|patch|auto] [--scheme snapshot|semver|prerelease] [--preid prerelease identifier] [--graduate graduate flag] [--changelog [changelog file]] [--workspaces workspace flag] [--lockstep lockstep flag] [--publish [--publish.registry url] [--publish.tag dist-tag] [--publish.access access]] [--branch allowed branch or pattern]... [--skip-check pre-flight check name]... [--pin-dependencies pin git branch dependencies flag] [--release-page [--release-page.provider github|gitlab] [--release-page.repository owner/repository] [--release-page.apiUrl API base URL] [--release-page.tokenEnv token environment variable] [--release-page.assets asset file]... [--release-page.pack upload npm pack tarball]] [--atomic-push atomic push flag] [--flow gitflow [--main-branch main branch] [--develop-branch develop branch]] [--lock release lock flag] [--lock-owner lock owner] [--force-unlock remove stale release lock] [--tag-format tag name template] [--tag-message tag message template] [--commit-message release commit message template] [--dev-commit-message dev version commit message template] [--sign sign flag] [--manifest release manifest flag] [--manifest-file manifest file] [--dry-run dry-run flag] [--build build command]... [--build-timeout ms] [--build-log log file] [--resume resume interrupted release] [--abort roll back interrupted release] [--force-push revert by force-pushing] [--unpublish unpublish command] [--json print NDJSON events and summary]');
+        console.log('commands:');
+        console.log('  perform       perform a release (default)');
+        console.log('  status        show the current version, the next release and dev versions and the last release tag');
+        console.log('  next-version  print the release version');
+        console.log('  history       list past release tags with their dates');
+        console.log('  revert        revert the release of the version given as argument and delete its tag');
+        console.log('  snapshot      build a uniquely versioned snapshot of the current commit without committing or tagging');
+        console.log('  hotfix        release a patch of the release tag given as argument from its maintenance/<major>.<minor> branch');
+        console.log('options are loaded from ' + Release.configFiles.join(' or ') + ' (or the "release" property of package.json) unless given on the command line');
         return;
     }
 
-    Release.perform({
-        projectPath: cliArgs.p || process.cwd(),
-        releaseVersion: cliArgs.releaseVersion || undefined,
-        devVersion: cliArgs.devVersion || undefined,
-        debug: cliArgs.debug || false,
-        buildPromise: function(){
-            if(cliArgs.build){
-                return new q.Promise(function(resolve,reject){
-                    var args = cliArgs.build.split(" ");
-                    if(args.length<1){
-                        reject(new Error("invalid build argument"));
-                    }
-                    var cmd = args[0];
-                    args = args.length>1?args.slice(1):[];
-                    var proc = spawn(cmd,args,{stdio:'pipe'});
-                    proc.stdout.on('data',function(dataBuffer){
-                        if(dataBuffer.toString()!==''){
-                            console.log(dataBuffer.toString().trim());
-                        }
-                    });
-                    proc.stderr.on('data',function(dataBuffer){
-                        if(dataBuffer.toString()!==''){
-                            console.log(dataBuffer.toString().trim());
-                        }
-                    });
-                    proc.on('exit',function(){
-                        if(proc.exitCode !==0){
-                            reject(new Error('Build failed with exit code ' + proc.exitCode));
-                        }else{
-                            resolve();
-                        }
-                    });
-                });
-            }else{
-                return true;
+    /* with --json, print every event (and log message) as a JSON line and finish with a summary line */
+    var events = new EventEmitter(),
+        printEvent = function(name,payload){
+            var line = {event: name};
+            Object.keys(payload).forEach(function(key){
+                line[key] = payload[key];
+            });
+            console.log(JSON.stringify(line));
+        },
+        printSummary = function(payload){
+            payload.success = true;
+            printEvent('summary',payload);
+        },
+        /* report a failure and exit with a non-zero status */
+        fail = function(title,error){
+            process.exitCode = error instanceof Release.ReleaseAbortedError ? 130 : 1;
+            if(cliArgs.json){
+                printEvent('summary',{success: false, error: String(error), code: error.code, rollbackFailures: error.rollbackFailures});
+                return;
             }
+            console.log(title);
+            console.log(new Array(title.length+1).join('-'));
+            console.log(error);
+        },
+        jsonLogger = {};
+    if(cliArgs.json){
+        Release.eventNames.forEach(function(name){
+            events.on(name,function(payload){
+                printEvent(name,payload);
+            });
+        });
+        logLevels.forEach(function(level){
+            jsonLogger[level] = function(message){
+                printEvent('log',{level: level, message: message});
+            };
+        });
+    }
+    var cliProjectPath = cliArgs.p || process.cwd(),
+        cliRelease = createRelease({
+            cwd: cliProjectPath,
+            logger: cliArgs.json ? jsonLogger : undefined
+        }),
+        cliConfig;
+
+    if(cliCommands.indexOf(cliCommand) === -1){
+        fail('Release failed',new Error('Unknown command ' + cliCommand + '; commands are ' + cliCommands.join(', ')));
+        return;
+    }
+
+    /* options from the release configuration file, overridden by command line flags */
+    try{
+        cliConfig = cliRelease.loadConfig(cliProjectPath);
+    }catch(error){
+        fail('Release failed',error);
+        return;
+    }
+    var cliFlags = {
+        releaseVersion: cliArgs.releaseVersion,
+        nextDevVersion: cliArgs.devVersion,
+        debug: cliArgs.debug,
+        bump: cliArgs.bump,
+        scheme: cliArgs.scheme,
+        preid: cliArgs.preid,
+        graduate: cliArgs.graduate,
+        changelog: cliArgs.changelog,
+        workspaces: cliArgs.workspaces,
+        lockstep: cliArgs.lockstep,
+        branches: cliArgs.branch,
+        skipChecks: cliArgs['skip-check'],
+        publish: cliArgs.publish,
+        atomicPush: cliArgs['atomic-push'],
+        tagFormat: cliArgs['tag-format'],
+        tagMessage: cliArgs['tag-message'],
+        commitMessage: cliArgs['commit-message'],
+        devCommitMessage: cliArgs['dev-commit-message'],
+        sign: cliArgs.sign,
+        dryRun: cliArgs['dry-run'],
+        build: cliArgs.build,
+        buildTimeout: cliArgs['build-timeout'],
+        buildLog: cliArgs['build-log'],
+        forcePush: cliArgs['force-push'],
+        unpublish: cliArgs.unpublish,
+        lock: cliArgs.lock,
+        lockOwner: cliArgs['lock-owner'],
+        forceUnlock: cliArgs['force-unlock'],
+        manifest: cliArgs.manifest,
+        manifestFile: cliArgs['manifest-file'],
+        pinDependencies: cliArgs['pin-dependencies'],
+        releasePage: cliArgs['release-page'],
+        flow: cliArgs.flow,
+        mainBranch: cliArgs['main-branch'],
+        developBranch: cliArgs['develop-branch']
+    };
+    Object.keys(cliFlags).forEach(function(key){
+        if(cliFlags[key] !== undefined){
+            cliConfig[key] = cliFlags[key];
         }
+    });
+    cliConfig.events = events;
+    /* the first SIGINT/SIGTERM aborts (and rolls back) the release, another one exits right away (AbortController requires node 15) */
+    if(typeof AbortController !== 'undefined'){
+        var abortController = new AbortController();
+        ['SIGINT','SIGTERM'].forEach(function(signalName){
+            process.on(signalName,function(){
+                if(abortController.signal.aborted){
+                    process.exit(130);
+                }
+                cliRelease.warn("received " + signalName + "; aborting and rolling back (send it again to exit without rolling back)");
+                abortController.abort();
+            });
+        });
+        cliConfig.signal = abortController.signal;
+    }
+
+    if(cliArgs.abort){
+        q.fcall(function(){
+            return cliRelease.abort(cliConfig);
+        }).then(function(results){
+            if(cliArgs.json){
+                printSummary({releaseVersion: results.releaseVersion, completedSteps: results.completedSteps,
+                    rollbackFailures: results.rollbackFailures});
+                return;
+            }
+            console.log("Release of "+results.releaseVersion+" aborted");
+            console.log("-----------------------------------------------");
+            console.log("rolled back steps: "+results.completedSteps.join(', '));
+            results.rollbackFailures.forEach(function(failure){
+                console.log("could not undo: "+failure);
+            });
+        }).catch(function(error){
+            fail('Release abort failed',error);
+        });
+        return;
+    }
+
+    if(cliCommand === 'status'){
+        q.fcall(function(){
+            return cliRelease.status(cliConfig);
+        }).then(function(status){
+            if(cliArgs.json){
+                printSummary(status);
+                return;
+            }
+            console.log("project: "+status.projectName);
+            console.log("branch: "+status.branch);
+            status.packages.forEach(function(pkg){
+                var prefix = status.packages.length > 1 ? pkg.name + ' ' : '';
+                console.log(prefix+"current version: "+pkg.version);
+                console.log(prefix+"release version: "+pkg.releaseVersion);
+                console.log(prefix+"next dev version: "+pkg.nextDevVersion);
+                console.log(prefix+"last release tag: "+(pkg.lastReleaseTag || 'none'));
+            });
+        }).catch(function(error){
+            fail('Release status failed',error);
+        });
+        return;
+    }
+
+    if(cliCommand === 'next-version'){
+        q.fcall(function(){
+            return cliRelease.status(cliConfig);
+        }).then(function(status){
+            if(cliArgs.json){
+                printSummary({releaseVersion: status.releaseVersion, packages: status.packages.map(function(pkg){
+                    return {name: pkg.name, releaseVersion: pkg.releaseVersion};
+                })});
+                return;
+            }
+            if(status.releaseVersion){
+                console.log(status.releaseVersion);
+                return;
+            }
+            status.packages.forEach(function(pkg){
+                console.log(pkg.name+" "+pkg.releaseVersion);
+            });
+        }).catch(function(error){
+            fail('Release next-version failed',error);
+        });
+        return;
+    }
+
+    if(cliCommand === 'history'){
+        q.fcall(function(){
+            return cliRelease.history(cliConfig);
+        }).then(function(releases){
+            if(cliArgs.json){
+                printSummary({releases: releases});
+                return;
+            }
+            releases.forEach(function(release){
+                console.log(release.tagName+" "+release.date);
+            });
+        }).catch(function(error){
+            fail('Release history failed',error);
+        });
+        return;
+    }
+
+    if(cliCommand === 'revert'){
+        cliConfig.version = cliArgs._[1] === undefined ? undefined : String(cliArgs._[1]);
+        q.fcall(function(){
+            return cliRelease.revert(cliConfig);
+        }).then(function(results){
+            if(cliArgs.json){
+                printSummary(results);
+                return;
+            }
+            console.log("Release "+results.tagName+" reverted");
+            console.log("-----------------------------------------------");
+            if(results.resetTo){
+                console.log("reset "+results.branch+" to: "+results.resetTo);
+            }else{
+                console.log("reverted commits on "+results.branch+": "+results.revertedCommits.join(', '));
+            }
+            console.log("deleted tag: "+results.tagName);
+        }).catch(function(error){
+            fail('Release revert failed',error);
+        });
+        return;
+    }
+
+    /* a resumed release keeps the build commands it was started with */
+    var cliJournal = null;
+    try{
+        cliJournal = cliArgs.resume ? cliRelease.readJournal(cliProjectPath) : null;
+    }catch(error){
+        fail('Release failed',error);
+        return;
+    }
+    if(!cliConfig.build && !(cliJournal && cliJournal.config.build)){
+        /* nothing to build */
+        cliConfig.buildPromise = function(){
+            return true;
+        };
+    }
+    if(cliCommand === 'hotfix'){
+        cliConfig.fromTag = cliArgs._[1] === undefined ? undefined : String(cliArgs._[1]);
+        q.fcall(function(){
+            return cliRelease.hotfix(cliConfig);
+        }).then(function(results){
+            if(cliArgs.json){
+                printSummary(results);
+                return;
+            }
+            console.log("Hotfix Release Performed in "+results.releaseTime+"ms");
+            console.log("-----------------------------------------------");
+            console.log("branch: "+results.branch);
+            console.log("released version: "+results.releaseVersion);
+            console.log("dev version: "+results.devVersion);
+        }).catch(function(error){
+            fail('Release hotfix failed',error);
+        });
+        return;
+    }
+
+    if(cliCommand === 'snapshot'){
+        q.fcall(function(){
+            return cliRelease.snapshot(cliConfig);
+        }).then(function(results){
+            if(cliArgs.json){
+                printSummary(results);
+                return;
+            }
+            console.log("Snapshot built in "+results.releaseTime+"ms");
+            console.log("-----------------------------------------------");
+            console.log("snapshot version: "+results.releaseVersion);
+            console.log("commit: "+results.commit);
+        }).catch(function(error){
+            fail('Release snapshot failed',error);
+        });
+        return;
+    }
+    q.fcall(function(){
+        return cliRelease[cliArgs.resume ? 'resume' : 'perform'](cliConfig);
     }).then(function(results){
+        if(cliArgs.json){
+            printSummary({
+                releaseVersion: results.releaseVersion,
+                devVersion: results.devVersion,
+                releaseTime: results.releaseTime,
+                packages: results.packages,
+                plannedSteps: results.plannedSteps,
+                manifest: results.manifest,
+                releasePages: results.releasePages
+            });
+            return;
+        }
+        if(results.plannedSteps){
+            console.log("Release dry run completed in "+results.releaseTime+"ms");
+            console.log("-----------------------------------------------");
+            console.log("release version: "+results.releaseVersion);
+            console.log("dev version: "+results.devVersion);
+            console.log("planned steps:");
+            results.plannedSteps.forEach(function(step){
+                console.log("  " + step);
+            });
+            return;
+        }
         console.log("Release Performed in "+results.releaseTime+"ms");
         console.log("-----------------------------------------------");
         console.log("released version: "+results.releaseVersion);
         console.log("dev version: "+results.devVersion);
+        (results.releasePages || []).forEach(function(page){
+            console.log("release page: "+page.url);
+        });
     }).catch(function(error){
-        console.log("Release failed");
-        console.log("--------------");
-        console.log(error);
+        fail('Release failed',error);
     });
 }
 module.exports = Release;
\ No newline at end of file
@@ -2,7 +2,12 @@ var assert = require('chai').assert,
     fs = require('fs-extra'),
     tmp = require('tmp'),
     q = require('q'),
-    Release = require('./Release.js');
+    execFileSync = require('child_process').execFileSync,
+    spawnSync = require('child_process').spawnSync,
+    EventEmitter = require('events').EventEmitter,
+    http = require('http'),
+    releaseModule = require('./Release.js'),
+    createGitRecorder = require('./GitRecorder.js');
 describe('Release tests', function(){
     it('performs an end-end release', function(done){
         /* make a fake package.json file */
@@ -164,6 +169,238 @@ describe('Release tests', function(){
         });
     });
 
+    it('runs build commands through the shell in the project directory', function(done){
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'built-project',
+            version: '1.0.0-SNAPSHOT'
+        },{spaces: 2});
+        Release.perform({
+            projectPath: tmpDir.name,
+            build: [
+                'printf "%s %s %s\\n" "$RELEASE_VERSION" "$DEV_VERSION" "$RELEASE_TAG" > build.txt',
+                'pwd >> build.txt && echo \'quoted  argument\' >> build.txt'
+            ]
+        }).then(function(){
+            assert.equal(fs.readFileSync(tmpDir.name+'/build.txt','utf8'),
+                '1.0.0 1.0.1-SNAPSHOT built-project-1.0.0\n' + fs.realpathSync(tmpDir.name) + '\nquoted  argument\n');
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(function(){
+            fs.removeSync(tmpDir.name+'/build.txt');
+        });
+    });
+
+    it('fails build commands with the end of their log', function(done){
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'logged-project',
+            version: '1.0.0-SNAPSHOT'
+        },{spaces: 2});
+        Release.perform({
+            projectPath: tmpDir.name,
+            build: 'for i in $(seq 1 30); do echo line $i; done; no-such-build-command',
+            buildLog: 'build.log'
+        }).then(function(){
+            done(new Error("release should have failed"));
+        }).catch(function(error){
+            try{
+                assert.include(error.message,'failed with exit code 127');
+                assert.include(error.message,'last lines of ' + tmpDir.name + '/build.log:\nline 12\n');
+                assert.include(error.message,'line 30\n');
+                assert.include(error.message,'no-such-build-command');
+                assert.notInclude(error.message,'line 11\n');
+                assert.equal('git reset --hard aaaaaaa',gitlog[gitlog.length-1]);
+                done();
+            }catch(e){
+                done(e);
+            }
+        }).finally(function(){
+            fs.removeSync(tmpDir.name+'/build.log');
+        });
+    });
+
+    it('kills build commands that time out', function(done){
+        Release.runCommand('sleep 10',{timeout: 100}).then(function(){
+            done(new Error("command should have timed out"));
+        }).catch(function(error){
+            assert.include(error.message,'sleep 10 timed out after 100ms');
+            done();
+        });
+    });
+
+    it('kills the processes started by build commands that time out', function(done){
+        var pidFile = tmpDir.name+'/sleep.pid';
+        Release.runCommand("sh -c 'echo $$ > " + pidFile + "; exec sleep 10' && echo slept",{timeout: 300}).then(function(){
+            done(new Error("command should have timed out"));
+        }).catch(function(error){
+            var pid = +fs.readFileSync(pidFile,'utf8');
+            assert.include(error.message,'timed out after 300ms');
+            fs.removeSync(pidFile);
+            return assertKilled(pid);
+        }).then(function(){
+            done();
+        }).catch(function(error){
+            done(error);
+        });
+    });
+
+    /* AbortController requires node 15 */
+    var itAborts = typeof AbortController !== 'undefined' ? it : it.skip;
+
+    itAborts('kills the build and rolls back when a release is aborted', function(done){
+        var controller = new AbortController(),
+            postReleaseCalled = false;
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'aborted-project',
+            version: '1.0.0-SNAPSHOT'
+        },{spaces: 2});
+        setTimeout(function(){
+            controller.abort();
+        },200);
+        Release.perform({
+            projectPath: tmpDir.name,
+            build: 'sleep 10',
+            signal: controller.signal,
+            postReleasePromise: function(){
+                postReleaseCalled = true;
+            }
+        }).then(function(){
+            done(new Error("release should have been aborted"));
+        }).catch(function(error){
+            try{
+                assert.instanceOf(error,Release.ReleaseAbortedError);
+                assert.equal(error.code,'RELEASE_ABORTED');
+                assert.include(error.message,'killed sleep 10');
+                assert.isFalse(postReleaseCalled);
+                assert.equal(gitlog[gitlog.length-1],'git reset --hard aaaaaaa');
+                assert.notInclude(gitlog.join('\n'),'git commit');
+                assert.isFalse(fs.existsSync(Release.journalPath(tmpDir.name)));
+                done();
+            }catch(e){
+                done(e);
+            }
+        });
+    });
+
+    itAborts('kills the processes started by the build when a release is aborted', function(done){
+        var controller = new AbortController(),
+            pidFile = tmpDir.name+'/sleep.pid';
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'aborted-project',
+            version: '1.0.0-SNAPSHOT'
+        },{spaces: 2});
+        setTimeout(function(){
+            controller.abort();
+        },300);
+        Release.perform({
+            projectPath: tmpDir.name,
+            build: "sh -c 'echo $$ > " + pidFile + "; exec sleep 10' && npm publish",
+            signal: controller.signal
+        }).then(function(){
+            throw new Error("release should have been aborted");
+        },function(error){
+            var pid = +fs.readFileSync(pidFile,'utf8');
+            assert.instanceOf(error,Release.ReleaseAbortedError);
+            fs.removeSync(pidFile);
+            return assertKilled(pid);
+        }).then(function(){
+            done();
+        }).catch(function(error){
+            done(error);
+        });
+    });
+
+    itAborts('skips the remaining steps and rolls back post-release work of aborted releases', function(done){
+        var controller = new AbortController(),
+            rolledBack = false;
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'aborted-project',
+            version: '1.0.0-SNAPSHOT'
+        },{spaces: 2});
+        Release.perform({
+            projectPath: tmpDir.name,
+            signal: controller.signal,
+            buildPromise: function(releaseInfo,signal){
+                assert.strictEqual(signal,controller.signal);
+            },
+            postReleasePromise: function(){
+                controller.abort();
+                return {
+                    rollback: function(){
+                        rolledBack = true;
+                    }
+                };
+            }
+        }).then(function(){
+            done(new Error("release should have been aborted"));
+        }).catch(function(error){
+            try{
+                assert.instanceOf(error,Release.ReleaseAbortedError);
+                assert.isTrue(rolledBack);
+                assert.deepEqual(gitlog.slice(-2),[
+                    'git reset --hard aaaaaaa',
+                    'git tag -d aborted-project-1.0.0']);
+                /* the dev version is never set (git is stubbed, so the reset does not restore package.json) */
+                assert.notInclude(gitlog.join('\n'),'git push');
+                assert.equal(fs.readJsonSync(tmpDir.name+'/package.json').version,'1.0.0');
+                done();
+            }catch(e){
+                done(e);
+            }
+        });
+    });
+
+    it('builds snapshots with unique versions without committing anything', function(done){
+        var packageText = '{\n    "name": "nightly-project",\n    "version": "1.2.4-SNAPSHOT"\n}\n',
+            builtVersions = [],
+            postReleaseInfo;
+        fs.writeFileSync(tmpDir.name+'/package.json',packageText);
+        Release.snapshot({
+            projectPath: tmpDir.name,
+            buildPromise: function(releaseInfo){
+                builtVersions.push(releaseInfo.releaseVersion,fs.readJsonSync(tmpDir.name+'/package.json').version);
+            },
+            postReleasePromise: function(releaseInfo){
+                postReleaseInfo = releaseInfo;
+            }
+        }).then(function(results){
+            assert.match(results.releaseVersion,/^1\.2\.4-SNAPSHOT\.\d{8}T\d{4}\.aaaaaaa$/);
+            assert.equal(results.devVersion,'1.2.4-SNAPSHOT');
+            assert.equal(results.commit,'aaaaaaa');
+            assert.deepEqual(builtVersions,[results.releaseVersion,results.releaseVersion]);
+            assert.deepEqual(postReleaseInfo,{releaseVersion: results.releaseVersion, packages: [
+                {name: 'nightly-project', path: '.', devVersion: '1.2.4-SNAPSHOT', tagName: null, releaseVersion: results.releaseVersion}
+            ]});
+            assert.equal(fs.readFileSync(tmpDir.name+'/package.json','utf8'),packageText);
+            assert.deepEqual(gitlog,['git status --porcelain','git rev-parse --verify HEAD']);
+            assert.equal(Release.snapshotVersion('2.0.0-beta.1',new Date(Date.UTC(2026,9,19,7,5,30)),'0123456789'),
+                '2.0.0-beta.1.20261019T0705.g0123456');
+            assert.equal(Release.snapshotVersion('2.0.0',new Date(Date.UTC(2026,9,19,12,0)),'1a2b3c4d5e'),'2.0.0-SNAPSHOT.20261019T1200.1a2b3c4');
+            done();
+        }).catch(function(error){
+            done(error);
+        });
+    });
+
+    it('restores snapshot versions when a snapshot build fails', function(done){
+        var packageText = '{\n  "name": "broken-nightly",\n  "version": "1.0.0-SNAPSHOT"\n}';
+        fs.writeFileSync(tmpDir.name+'/package.json',packageText);
+        Release.snapshot({
+            projectPath: tmpDir.name,
+            build: 'exit 2'
+        }).then(function(){
+            done(new Error("snapshot should have failed"));
+        }).catch(function(error){
+            try{
+                assert.include(error.message,'exit 2 failed with exit code 2');
+                assert.equal(fs.readFileSync(tmpDir.name+'/package.json','utf8'),packageText);
+                done();
+            }catch(e){
+                done(e);
+            }
+        });
+    });
+
     it('rolls back on failing postRelease task', function(done){
         /* make a fake package.json file */
         fs.writeJsonSync(tmpDir.name+'/package.json',{
@@ -197,16 +434,13 @@ describe('Release tests', function(){
             version: '1.0.0-SNAPSHOT'
         },{spaces: 2});
         var postReleaseRollbackFnCalled = false;
-        var originalPush = Release.push;
         /* run a release! */
         Release.perform({
             projectPath: tmpDir.name,
             buildPromise: function(){},
             postReleasePromise: function(){
-                /* let's make release.push fail! */
-                Release.push = function(){
-                    throw new Error("failure to push");
-                };
+                /* let's make pushing fail! */
+                gitStubs['push origin master'] = new Error("failure to push");
                 return new Promise(function(resolve){
                     resolve({
                         rollback: function(){
@@ -237,30 +471,2161 @@ describe('Release tests', function(){
         });
     });
 
-    var gitlog = [],tmpDir;
-    beforeEach(function(){
-        gitlog = [];
-        tmpDir = tmp.dirSync();
-        Release.git = function(commands,workingDirectory){
-            return new q.Promise(function(resolve,reject){
-                var resolution = {exitCode:0,stdout:'',stderr:''};
-                /* always respond with aaaaaaa for current commit */
-                if(commands[0] === 'rev-parse' && commands[1] === '--verify'){
-                    resolution.stdout = 'aaaaaaa';
-                }
-                /* always respond with 'master' for current branch */
-                if(commands[0] === 'rev-parse' && commands[1] === '--abbrev-ref'){
-                    resolution.stdout = 'master';
-                }
-                gitlog.push('git '+commands.join(' '));
-                resolve(resolution);
+    it('performs a dry run without modifying the project', function(done){
+        /* make a fake package.json file */
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'dry-project',
+            version: '2.0.0-SNAPSHOT'
+        },{spaces: 2});
+        var buildExecuted = false;
+        Release.perform({
+            projectPath: tmpDir.name,
+            dryRun: true,
+            buildPromise: function(){
+                buildExecuted = true;
+            }
+        }).then(function(results){
+            /* assert versions are picked as in a real release */
+            assert.equal(results.releaseVersion,'2.0.0');
+            assert.equal(results.devVersion,'2.0.1-SNAPSHOT');
+            assert.isNumber(results.releaseTime);
+            /* assert planned steps are reported */
+            assert.deepEqual(results.plannedSteps,[
+                'update package.json version from 2.0.0-SNAPSHOT to 2.0.0',
+                'run build for release version 2.0.0',
+                'git commit package.json -m [release] - releasing 2.0.0',
+                'git tag -a -m [release] - 2.0.0 release dry-project-2.0.0',
+                'update package.json version from 2.0.0 to 2.0.1-SNAPSHOT',
+                'git commit package.json -m [release] - updating dev version to 2.0.1-SNAPSHOT',
+                'git push origin dry-project-2.0.0',
+                'git push origin master']);
+            /* assert only read-only git commands were executed */
+            assert.deepEqual(gitlog,[
+                'git status --porcelain',
+                'git rev-parse --verify HEAD',
+                'git rev-parse --abbrev-ref HEAD',
+                'git ls-remote --heads origin',
+                'git fetch --tags origin',
+                'git for-each-ref --format=%(refname) refs/remotes/origin/master',
+                'git tag -l dry-project-2.0.0',
+                'git ls-remote --tags origin refs/tags/dry-project-2.0.0',
+                'git tag -l dry-project-[0-9]*']);
+            /* assert project was left untouched */
+            assert.equal(fs.readJsonSync(tmpDir.name+'/package.json').version,'2.0.0-SNAPSHOT');
+            assert.isFalse(buildExecuted);
+            done();
+        }).catch(function(error){
+            done(error);
+        });
+    });
+
+    it('releases with a configured version bump', function(done){
+        /* make a fake package.json file */
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'bump-project',
+            version: '1.2.3-SNAPSHOT'
+        },{spaces: 2});
+        Release.perform({
+            projectPath: tmpDir.name,
+            bump: 'minor',
+            buildPromise: function(){}
+        }).then(function(results){
+            assert.equal(results.releaseVersion,'1.3.0');
+            assert.equal(results.devVersion,'1.4.0-SNAPSHOT');
+            done();
+        }).catch(function(error){
+            done(error);
+        });
+    });
+
+    it('errors out on unknown version bump', function(){
+        try{
+            Release.perform({
+                projectPath: tmpDir.name,
+                bump: 'huge',
+                buildPromise: function(){}
+            });
+        }catch(expected){
+            assert.include(expected.message,'bump');
+            return;
+        }
+        assert.fail();
+    });
+
+    it('releases the project version as is with the semver versioning scheme', function(done){
+        /* make a fake package.json file */
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'semver-project',
+            version: '1.2.3'
+        },{spaces: 2});
+        Release.perform({
+            projectPath: tmpDir.name,
+            scheme: 'semver',
+            buildPromise: function(){}
+        }).then(function(results){
+            assert.equal(results.releaseVersion,'1.2.3');
+            assert.equal(results.devVersion,'1.2.4');
+            /* nothing changed for the release, so the pre-release commit gets tagged */
+            assert.deepEqual(gitlog.slice(-4),[
+                'git tag -a -m [release] - 1.2.3 release semver-project-1.2.3',
+                'git commit package.json -m [release] - updating dev version to 1.2.4',
+                'git push origin semver-project-1.2.3',
+                'git push origin master']);
+            assert.equal(fs.readJsonSync(tmpDir.name+'/package.json').version,'1.2.4');
+            done();
+        }).catch(function(error){
+            done(error);
+        });
+    });
+
+    it('releases prerelease channels and graduates them', function(done){
+        /* make a fake package.json file */
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'prerelease-project',
+            version: '1.9.3'
+        },{spaces: 2});
+        var release = function(config){
+            config.projectPath = tmpDir.name;
+            config.scheme = 'prerelease';
+            config.buildPromise = function(){};
+            return Release.perform(config).then(function(results){
+                return [results.releaseVersion,results.devVersion];
             });
         };
+        release({preid: 'beta', bump: 'major'}).then(function(versions){
+            assert.deepEqual(versions,['2.0.0-beta.0','2.0.0-beta.1']);
+            return release({preid: 'beta'});
+        }).then(function(versions){
+            assert.deepEqual(versions,['2.0.0-beta.1','2.0.0-beta.2']);
+            return release({preid: 'rc'});
+        }).then(function(versions){
+            assert.deepEqual(versions,['2.0.0-rc.0','2.0.0-rc.1']);
+            return release({graduate: true});
+        }).then(function(versions){
+            assert.deepEqual(versions,['2.0.0','2.0.1']);
+            done();
+        }).catch(function(error){
+            done(error);
+        });
     });
-    afterEach(function(){
-        if(tmpDir){
+
+    it('errors out on a prerelease versioning scheme without preid', function(){
+        try{
+            Release.perform({
+                projectPath: tmpDir.name,
+                scheme: 'prerelease',
+                buildPromise: function(){}
+            });
+        }catch(expected){
+            assert.include(expected.message,'preid');
+            return;
+        }
+        assert.fail();
+    });
+
+    it('errors out on versions that do not fit the versioning scheme', function(done){
+        var release = function(version,scheme){
+            fs.writeJsonSync(tmpDir.name+'/package.json',{
+                name: 'scheme-project',
+                version: version
+            },{spaces: 2});
+            return Release.perform({
+                projectPath: tmpDir.name,
+                scheme: scheme,
+                buildPromise: function(){}
+            }).then(function(){
+                throw new Error("release of " + version + " should have failed");
+            },function(error){
+                return error.message;
+            });
+        };
+        release('2.0.0-rc.1').then(function(message){
+            assert.include(message,'snapshot versioning scheme');
+            return release('1.0.0-SNAPSHOT','semver');
+        }).then(function(message){
+            assert.include(message,'semver versioning scheme');
+            return release('1.0','semver');
+        }).then(function(message){
+            assert.include(message,'not a valid semver version');
+            done();
+        }).catch(function(error){
+            done(error);
+        });
+    });
+
+    it('infers version bumps from conventional commits', function(){
+        assert.equal(Release.inferBump([]),'patch');
+        assert.equal(Release.inferBump(['fix: a bug','chore: tidy up']),'patch');
+        assert.equal(Release.inferBump(['fix: a bug','feat(api): a feature']),'minor');
+        assert.equal(Release.inferBump(['feat: a feature','fix: a bug\n\nBREAKING CHANGE: removed an option']),'major');
+        assert.equal(Release.inferBump(['refactor!: drop node 0.10']),'major');
+    });
+
+    it('releases with a version bump inferred from commits since the last release tag', function(done){
+        /* make a fake package.json file */
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'auto-project',
+            version: '1.2.3-SNAPSHOT'
+        },{spaces: 2});
+        gitStubs['describe --tags --abbrev=0 --match auto-project-[0-9]*'] = 'auto-project-1.2.2\n';
+        gitStubs['log --format=%B%x1e auto-project-1.2.2..HEAD'] = 'fix: a bug\n\x1e\nfeat: a feature\n\x1e\n';
+        Release.perform({
+            projectPath: tmpDir.name,
+            bump: 'auto',
+            buildPromise: function(){}
+        }).then(function(results){
+            assert.equal(results.releaseVersion,'1.3.0');
+            assert.equal(results.devVersion,'1.4.0-SNAPSHOT');
+            done();
+        }).catch(function(error){
+            done(error);
+        });
+    });
+
+    it('generates release notes grouped by commit type', function(){
+        var notes = Release.generateReleaseNotes('1.3.0',[
+            'feat(api): add a feature',
+            '[release] - updating dev version to 1.2.4-SNAPSHOT',
+            'fix: fix a bug',
+            'feat!: drop an option',
+            'update readme'
+        ]);
+        assert.equal(notes,'## 1.3.0 (' + new Date().toISOString().slice(0,10) + ')\n' +
+            '\n### Breaking Changes\n* drop an option\n' +
+            '\n### Features\n* **api:** add a feature\n' +
+            '\n### Bug Fixes\n* fix a bug\n' +
+            '\n### Other Changes\n* update readme\n');
+    });
+
+    it('leaves release commits made with commit message templates out of release notes', function(){
+        var notes = Release.generateReleaseNotes('1.3.0',[
+            'chore(release): 1.2.3',
+            'fix: fix a bug',
+            'chore: start 1.2.4-SNAPSHOT'
+        ],{commitMessage: 'chore(release): ${version}', devCommitMessage: 'chore: start ${version}'});
+        assert.equal(notes,'## 1.3.0 (' + new Date().toISOString().slice(0,10) + ')\n' +
+            '\n### Bug Fixes\n* fix a bug\n');
+    });
+
+    it('adds release notes to the top of an existing changelog', function(done){
+        fs.writeFileSync(tmpDir.name+'/CHANGELOG.md','# Project history\n\n## 1.0.0 (2015-01-01)\n\n* First release\n');
+        Release.updateChangelog(tmpDir.name,'CHANGELOG.md','## 1.0.1 (2015-02-01)\n\n* Second release\n').then(function(){
+            assert.equal(fs.readFileSync(tmpDir.name+'/CHANGELOG.md','utf8'),
+                '# Project history\n\n## 1.0.1 (2015-02-01)\n\n* Second release\n\n## 1.0.0 (2015-01-01)\n\n* First release\n');
+            done();
+        }).catch(function(error){
+            done(error);
+        });
+    });
+
+    it('commits a generated changelog with the release version', function(done){
+        /* make a fake package.json file */
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'changelog-project',
+            version: '1.2.3-SNAPSHOT'
+        },{spaces: 2});
+        gitStubs['describe --tags --abbrev=0 --match changelog-project-[0-9]*'] = 'changelog-project-1.2.2\n';
+        gitStubs['log --format=%B%x1e changelog-project-1.2.2..HEAD'] = 'fix: a bug\n\x1e\n';
+        Release.perform({
+            projectPath: tmpDir.name,
+            changelog: true,
+            buildPromise: function(){}
+        }).then(function(results){
+            var notes = '## 1.2.3 (' + new Date().toISOString().slice(0,10) + ')\n\n### Bug Fixes\n* a bug\n';
+            assert.equal(fs.readFileSync(tmpDir.name+'/CHANGELOG.md','utf8'),'# Changelog\n\n'+notes);
+            assert.deepEqual(gitlog.slice(-6),[
+                'git add -- CHANGELOG.md',
+                'git commit package.json CHANGELOG.md -m [release] - releasing 1.2.3',
+                'git tag -a -m '+notes+' changelog-project-1.2.3',
+                'git commit package.json -m [release] - updating dev version to 1.2.4-SNAPSHOT',
+                'git push origin changelog-project-1.2.3',
+                'git push origin master']);
+            done();
+        }).catch(function(error){
+            done(error);
+        });
+    });
+
+    it('deletes a pushed tag from the remote when pushing the dev branch fails', function(done){
+        var repo = createGitProject('remote-project','1.0.0-SNAPSHOT');
+        rejectPushes(repo,'refs/heads/*');
+        Release = createTestRelease(realGit);
+        Release.perform({
+            projectPath: repo.projectPath,
+            buildPromise: function(){}
+        }).then(function(){
+            done(new Error("release should have failed"));
+        }).catch(function(error){
             try{
-                fs.unlinkSync(tmpDir.name+'/package.json');
+                assert.include(error.message,'Could not execute git push origin master');
+                assert.isUndefined(error.rollbackFailures);
+                /* assert tag was removed from remote and locally and project was reset */
+                assert.equal(git(repo.remotePath,['tag']),'');
+                assert.equal(git(repo.projectPath,['tag']),'');
+                assert.equal(git(repo.projectPath,['rev-parse','HEAD']),git(repo.remotePath,['rev-parse','master']));
+                assert.equal(fs.readJsonSync(repo.projectPath+'/package.json').version,'1.0.0-SNAPSHOT');
+                done();
+            }catch(e){
+                done(e);
+            }
+        }).finally(repo.cleanup);
+    });
+
+    it('reports pushed refs it could not remove from the remote', function(done){
+        var repo = createGitProject('stuck-project','1.0.0-SNAPSHOT');
+        rejectPushes(repo,'refs/heads/*|0000000000000000000000000000000000000000');
+        Release = createTestRelease(realGit);
+        Release.perform({
+            projectPath: repo.projectPath,
+            buildPromise: function(){}
+        }).then(function(){
+            done(new Error("release should have failed"));
+        }).catch(function(error){
+            try{
+                assert.include(error.message,'Could not undo the following changes');
+                assert.lengthOf(error.rollbackFailures,1);
+                assert.include(error.rollbackFailures[0],'tag stuck-project-1.0.0 remains pushed to origin');
+                assert.equal(git(repo.remotePath,['tag']),'stuck-project-1.0.0');
+                done();
+            }catch(e){
+                done(e);
+            }
+        }).finally(repo.cleanup);
+    });
+
+    it('pushes release tag and dev branch atomically', function(done){
+        var repo = createGitProject('atomic-project','1.0.0-SNAPSHOT');
+        rejectPushes(repo,'refs/heads/*');
+        Release = createTestRelease(realGit);
+        Release.perform({
+            projectPath: repo.projectPath,
+            atomicPush: true,
+            buildPromise: function(){}
+        }).then(function(){
+            done(new Error("release should have failed"));
+        }).catch(function(error){
+            try{
+                assert.include(error.message,'Could not execute git push --atomic origin atomic-project-1.0.0 master');
+                /* assert neither ref made it to the remote */
+                assert.equal(git(repo.remotePath,['tag']),'');
+                assert.equal(git(repo.projectPath,['tag']),'');
+                done();
+            }catch(e){
+                done(e);
+            }
+        }).finally(repo.cleanup);
+    });
+
+    it('resumes an interrupted release from its journal', function(done){
+        var repo = createGitProject('resumed-project','1.0.0-SNAPSHOT'),
+            builds = 0,
+            /* simulate the process dying during post-release tasks: no rollback happens */
+            dyingRelease = createTestRelease(realGit);
+        dyingRelease.rollback = function(){
+            return q([]);
+        };
+        Release = createTestRelease(realGit);
+        dyingRelease.perform({
+            projectPath: repo.projectPath,
+            buildPromise: function(){
+                builds++;
+            },
+            postReleasePromise: function(){
+                throw new Error('process died');
+            }
+        }).then(function(){
+            throw new Error("release should have been interrupted");
+        },function(){
+            var journal = Release.readJournal(repo.projectPath);
+            assert.equal(journal.state.releaseVersion,'1.0.0');
+            assert.include(journal.state.completedSteps,'tag');
+            assert.notInclude(journal.state.completedSteps,'postRelease');
+            return Release.resume({
+                projectPath: repo.projectPath,
+                buildPromise: function(){
+                    builds++;
+                }
+            });
+        }).then(function(results){
+            assert.equal(results.releaseVersion,'1.0.0');
+            assert.equal(results.devVersion,'1.0.1-SNAPSHOT');
+            /* assert build was not repeated and release finished */
+            assert.equal(builds,1);
+            assert.isNull(Release.readJournal(repo.projectPath));
+            assert.equal(git(repo.remotePath,['tag']),'resumed-project-1.0.0');
+            assert.equal(git(repo.remotePath,['log','-1','--format=%s','master']),'[release] - updating dev version to 1.0.1-SNAPSHOT');
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(repo.cleanup);
+    });
+
+    it('emits step and done events', function(done){
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'evented-project',
+            version: '1.0.0-SNAPSHOT'
+        },{spaces: 2});
+        var events = new EventEmitter(),
+            emitted = [];
+        Release.eventNames.forEach(function(name){
+            events.on(name,function(payload){
+                emitted.push({name: name, payload: payload});
+            });
+        });
+        Release.perform({
+            projectPath: tmpDir.name,
+            events: events,
+            buildPromise: function(){}
+        }).then(function(results){
+            var stepEnds = emitted.filter(function(event){
+                return event.name === 'step:end';
+            });
+            assert.deepEqual(emitted.filter(function(event){
+                return event.name === 'step:start';
+            }).map(function(event){
+                return event.payload.step;
+            }),Release.steps.map(function(step){
+                return step.name;
+            }));
+            assert.equal(stepEnds.length,Release.steps.length);
+            assert.isNumber(stepEnds[0].payload.duration);
+            assert.isUndefined(stepEnds[0].payload.error);
+            assert.deepEqual(emitted[emitted.length-1],{name: 'done', payload: {success: true, results: results}});
+            done();
+        }).catch(function(error){
+            done(error);
+        });
+    });
+
+    it('emits git, failed step and rollback events', function(done){
+        var repo = createGitProject('failing-project','1.0.0-SNAPSHOT'),
+            events = new EventEmitter(),
+            emitted = [];
+        Release.eventNames.forEach(function(name){
+            events.on(name,function(payload){
+                emitted.push({name: name, payload: payload});
+            });
+        });
+        Release = createTestRelease(realGit);
+        Release.perform({
+            projectPath: repo.projectPath,
+            events: events,
+            buildPromise: function(){
+                throw new Error('build has failed!');
+            }
+        }).then(function(){
+            done(new Error("release should have failed"));
+        }).catch(function(){
+            try{
+                var names = emitted.map(function(event){
+                        return event.name;
+                    }),
+                    buildEnd = emitted.filter(function(event){
+                        return event.name === 'step:end' && event.payload.step === 'build';
+                    })[0],
+                    reset = emitted.filter(function(event){
+                        return event.name === 'git' && event.payload.command[0] === 'reset';
+                    })[0];
+                assert.include(buildEnd.payload.error,'build has failed!');
+                assert.deepEqual(reset.payload.command,['reset','--hard',git(repo.projectPath,['rev-parse','HEAD'])]);
+                assert.equal(reset.payload.exitCode,0);
+                assert.equal(reset.payload.cwd,repo.projectPath);
+                assert.deepEqual(names.slice(-2),['rollback','done']);
+                assert.equal(emitted[emitted.length-1].payload.success,false);
+                assert.deepEqual(emitted[emitted.length-2].payload.rollbackFailures,[]);
+                /* git events are only forwarded while the release runs */
+                assert.equal(Release.events.listeners('git').length,0);
+                done();
+            }catch(e){
+                done(e);
+            }
+        }).finally(repo.cleanup);
+    });
+
+    it('prints NDJSON events and a summary with --json', function(){
+        /* spawns the command line */
+        this.timeout(10000);
+        var repo = createGitProject('json-project','1.0.0-SNAPSHOT');
+        try{
+            var lines = execFileSync('node',[__dirname+'/Release.js','-p',repo.projectPath,'--json','--dry-run'],{stdio: ['ignore','pipe','ignore']})
+                    .toString().trim().split('\n').map(function(line){
+                        return JSON.parse(line);
+                    }),
+                summary = lines[lines.length-1];
+            assert.deepEqual(lines[0],{event: 'step:start', step: 'checkVersion', time: lines[0].time});
+            assert.include(lines.map(function(line){
+                return line.event;
+            }),'git');
+            assert.equal(summary.event,'summary');
+            assert.isTrue(summary.success);
+            assert.equal(summary.releaseVersion,'1.0.0');
+            assert.include(summary.plannedSteps,'git push origin json-project-1.0.0');
+        }finally{
+            repo.cleanup();
+        }
+    });
+
+    it('loads release options from a release configuration file or package.json', function(){
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'configured-project',
+            version: '1.0.0-SNAPSHOT',
+            release: {bump: 'minor'}
+        },{spaces: 2});
+        assert.deepEqual(Release.loadConfig(tmpDir.name),{bump: 'minor'});
+        fs.writeJsonSync(tmpDir.name+'/.releaserc.json',{bump: 'major'});
+        assert.deepEqual(Release.loadConfig(tmpDir.name),{bump: 'major'});
+        fs.writeFileSync(tmpDir.name+'/.releaserc','{"changelog": true}');
+        assert.deepEqual(Release.loadConfig(tmpDir.name),{changelog: true});
+        fs.writeFileSync(tmpDir.name+'/.releaserc','changelog: true');
+        assert.throws(function(){
+            Release.loadConfig(tmpDir.name);
+        },/Could not read release options from \.releaserc/);
+        fs.unlinkSync(tmpDir.name+'/.releaserc');
+        fs.unlinkSync(tmpDir.name+'/.releaserc.json');
+    });
+
+    it('reports the release status without modifying anything', function(done){
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'status-project',
+            version: '1.2.3-SNAPSHOT'
+        },{spaces: 2});
+        gitStubs['describe --tags --abbrev=0 --match status-project-[0-9]*'] = 'status-project-1.2.2\n';
+        Release.status({
+            projectPath: tmpDir.name,
+            bump: 'minor'
+        }).then(function(status){
+            assert.equal(status.projectName,'status-project');
+            assert.equal(status.branch,'master');
+            assert.equal(status.version,'1.2.3-SNAPSHOT');
+            assert.equal(status.releaseVersion,'1.3.0');
+            assert.equal(status.nextDevVersion,'1.4.0-SNAPSHOT');
+            assert.equal(status.lastReleaseTag,'status-project-1.2.2');
+            assert.equal(fs.readJsonSync(tmpDir.name+'/package.json').version,'1.2.3-SNAPSHOT');
+            assert.notInclude(gitlog.join('\n'),'git commit');
+            done();
+        }).catch(function(error){
+            done(error);
+        });
+    });
+
+    it('lists past releases with their dates', function(done){
+        var repo = createGitProject('history-project','1.0.0-SNAPSHOT'),
+            tag = function(tagName,date){
+                execFileSync('git',['tag','-a','-m',tagName,tagName],{
+                    cwd: repo.projectPath,
+                    env: Object.keys(process.env).reduce(function(env,key){
+                        env[key] = process.env[key];
+                        return env;
+                    },{GIT_COMMITTER_DATE: date})
+                });
+            };
+        tag('history-project-1.0.0','2020-01-01T00:00:00Z');
+        tag('history-project-1.1.0','2021-01-01T00:00:00Z');
+        tag('other-project-2.0.0','2022-01-01T00:00:00Z');
+        Release = createTestRelease(realGit);
+        Release.history({projectPath: repo.projectPath}).then(function(releases){
+            assert.deepEqual(releases.map(function(release){
+                return release.tagName + ' ' + release.version + ' ' + new Date(release.date).toISOString();
+            }),[
+                'history-project-1.1.0 1.1.0 2021-01-01T00:00:00.000Z',
+                'history-project-1.0.0 1.0.0 2020-01-01T00:00:00.000Z'
+            ]);
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(repo.cleanup);
+    });
+
+    it('runs CLI subcommands with options from a release configuration file', function(){
+        /* spawns the command line */
+        this.timeout(10000);
+        var repo = createGitProject('cli-project','1.0.0-SNAPSHOT',{'.releaserc': {releaseVersion: '1.5.0', bump: 'minor'}}),
+            cli = function(args){
+                return spawnSync('node',[__dirname+'/Release.js'].concat(args).concat(['-p',repo.projectPath]),{encoding: 'utf8'});
+            };
+        try{
+            assert.equal(cli(['next-version']).stdout,'1.5.0\n');
+            var lines = cli(['perform','--json','--dry-run','--releaseVersion','1.6.0','--devVersion','2.0.0-SNAPSHOT']).stdout.trim().split('\n'),
+                summary = JSON.parse(lines[lines.length-1]);
+            assert.equal(summary.releaseVersion,'1.6.0');
+            assert.equal(summary.devVersion,'2.0.0-SNAPSHOT');
+            assert.include(cli(['status']).stdout,'last release tag: none');
+            /* failures exit with a non-zero status */
+            assert.equal(cli(['release-it']).status,1);
+            git(repo.projectPath,['checkout','-q','-b','feature']);
+            var failed = cli(['--branch','master']);
+            assert.equal(failed.status,1);
+            assert.include(failed.stdout,'RELEASE_BRANCH_NOT_ALLOWED');
+            assert.equal(cli(['history']).status,0);
+            /* invalid options are reported like any other failure */
+            var invalid = cli(['--bump','foo']);
+            assert.equal(invalid.status,1);
+            assert.equal(invalid.stderr,'');
+            assert.include(invalid.stdout,'Release bump must be one of major, minor, patch, auto');
+            lines = cli(['status','--bump','foo','--json']).stdout.trim().split('\n');
+            summary = JSON.parse(lines[lines.length-1]);
+            assert.isFalse(summary.success);
+            assert.include(summary.error,'Release bump must be one of');
+        }finally{
+            repo.cleanup();
+        }
+    });
+
+    it('resumes interrupted CLI releases with their build commands', function(){
+        /* spawns the command line */
+        this.timeout(10000);
+        var repo = createGitProject('cli-resumed-project','1.0.0-SNAPSHOT'),
+            /* the first build kills the release process */
+            build = 'if [ -f built ]; then touch resumed; else touch built; kill -9 $PPID; fi',
+            cli = function(args){
+                return spawnSync('node',[__dirname+'/Release.js'].concat(args).concat(['-p',repo.projectPath]),{encoding: 'utf8'});
+            };
+        try{
+            assert.notEqual(cli(['--build',build]).status,0);
+            assert.isTrue(fs.existsSync(Release.journalPath(repo.projectPath)));
+            assert.equal(cli(['--resume']).status,0);
+            assert.isTrue(fs.existsSync(repo.projectPath+'/resumed'));
+            assert.equal(git(repo.remotePath,['tag']),'cli-resumed-project-1.0.0');
+        }finally{
+            repo.cleanup();
+        }
+    });
+
+    it('keeps the release journal out of the working tree', function(done){
+        /* spawns npm */
+        this.timeout(30000);
+        var repo = createGitProject('journaled-project','1.0.0-SNAPSHOT'),
+            packedFiles,
+            untrackedFiles;
+        Release = createTestRelease(realGit);
+        Release.perform({
+            projectPath: repo.projectPath,
+            buildPromise: function(){},
+            postReleasePromise: function(){
+                assert.isNotNull(Release.readJournal(repo.projectPath));
+                untrackedFiles = git(repo.projectPath,['status','--porcelain','--ignored']);
+                packedFiles = JSON.parse(execFileSync('npm',['pack','--dry-run','--json'],{cwd: repo.projectPath, encoding: 'utf8'}))[0].files.map(function(file){
+                    return file.path;
+                });
+            }
+        }).then(function(){
+            assert.equal(Release.journalPath(repo.projectPath),repo.projectPath+'/.git/'+Release.journalFile);
+            assert.equal(untrackedFiles,'');
+            assert.deepEqual(packedFiles,['package.json']);
+            assert.isNull(Release.readJournal(repo.projectPath));
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(repo.cleanup);
+    });
+
+    it('aborts an interrupted release from its journal', function(done){
+        var repo = createGitProject('aborted-project','1.0.0-SNAPSHOT'),
+            preReleaseCommit = git(repo.projectPath,['rev-parse','HEAD']),
+            /* simulate the process dying after tagging: no rollback happens */
+            dyingRelease = createTestRelease(realGit);
+        dyingRelease.rollback = function(){
+            return q([]);
+        };
+        Release = createTestRelease(realGit);
+        dyingRelease.perform({
+            projectPath: repo.projectPath,
+            buildPromise: function(){},
+            postReleasePromise: function(){
+                throw new Error('process died');
+            }
+        }).then(function(){
+            throw new Error("release should have been interrupted");
+        },function(){
+            return Release.perform({
+                projectPath: repo.projectPath,
+                buildPromise: function(){}
+            }).then(function(){
+                throw new Error("release should have refused to start");
+            },function(error){
+                assert.include(error.message,'was interrupted');
+                return Release.abort({projectPath: repo.projectPath});
+            });
+        }).then(function(results){
+            assert.equal(results.releaseVersion,'1.0.0');
+            assert.deepEqual(results.rollbackFailures,[]);
+            /* assert release commit and tag are gone */
+            assert.isNull(Release.readJournal(repo.projectPath));
+            assert.equal(git(repo.projectPath,['tag']),'');
+            assert.equal(git(repo.projectPath,['rev-parse','HEAD']),preReleaseCommit);
+            assert.equal(fs.readJsonSync(repo.projectPath+'/package.json').version,'1.0.0-SNAPSHOT');
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(repo.cleanup);
+    });
+
+    /* create a workspace with package a, and package b that depends on a and was released before */
+    var createWorkspaceProject = function(){
+        var repo = createGitProject('workspace',undefined,{
+            'package.json': {name: 'workspace', private: true, workspaces: ['packages/*']},
+            'packages/a/package.json': {name: 'a', version: '1.0.0-SNAPSHOT'},
+            'packages/b/package.json': {name: 'b', version: '2.0.0-SNAPSHOT', dependencies: {a: '^1.0.0-SNAPSHOT', semver: '4.3.4'}}
+        });
+        git(repo.projectPath,['tag','b-1.9.0']);
+        fs.outputFileSync(repo.projectPath+'/packages/a/index.js','module.exports = 1;\n');
+        git(repo.projectPath,['add','-A']);
+        git(repo.projectPath,['commit','-q','-m','feat: add a']);
+        git(repo.projectPath,['push','-q','origin','master']);
+        return repo;
+    };
+
+    it('releases changed workspace packages', function(done){
+        var repo = createWorkspaceProject(),
+            suppliedBuildInfo = null;
+        Release = createTestRelease(realGit);
+        Release.perform({
+            projectPath: repo.projectPath,
+            workspaces: true,
+            buildPromise: function(releaseInfo){
+                suppliedBuildInfo = releaseInfo;
+            }
+        }).then(function(results){
+            assert.deepEqual(results.packages,[{name: 'a', releaseVersion: '1.0.0', devVersion: '1.0.1-SNAPSHOT'}]);
+            assert.deepEqual(suppliedBuildInfo.packages,[{name: 'a', path: 'packages/a', releaseVersion: '1.0.0', devVersion: '1.0.1-SNAPSHOT', tagName: 'a-1.0.0'}]);
+            /* assert only the changed package got tagged and dependency ranges were rewritten */
+            assert.equal(git(repo.remotePath,['tag']),'a-1.0.0');
+            assert.equal(JSON.parse(git(repo.projectPath,['show','a-1.0.0:packages/b/package.json'])).dependencies.a,'^1.0.0');
+            var packageB = fs.readJsonSync(repo.projectPath+'/packages/b/package.json');
+            assert.equal(packageB.version,'2.0.0-SNAPSHOT');
+            assert.deepEqual(packageB.dependencies,{a: '^1.0.1-SNAPSHOT', semver: '4.3.4'});
+            assert.equal(fs.readJsonSync(repo.projectPath+'/packages/a/package.json').version,'1.0.1-SNAPSHOT');
+            assert.equal(git(repo.projectPath,['status','--porcelain']),'');
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(repo.cleanup);
+    });
+
+    it('releases all workspace packages in lockstep', function(done){
+        var repo = createWorkspaceProject();
+        Release = createTestRelease(realGit);
+        Release.perform({
+            projectPath: repo.projectPath,
+            workspaces: true,
+            lockstep: true,
+            releaseVersion: '3.0.0',
+            buildPromise: function(){}
+        }).then(function(results){
+            assert.equal(results.releaseVersion,'3.0.0');
+            assert.equal(results.devVersion,'3.0.1-SNAPSHOT');
+            assert.lengthOf(results.packages,2);
+            assert.equal(git(repo.remotePath,['tag']),'a-3.0.0\nb-3.0.0');
+            assert.equal(git(repo.remotePath,['log','-3','--format=%s','master']),
+                '[release] - updating dev version to 3.0.1-SNAPSHOT\n[release] - releasing 3.0.0\nfeat: add a');
+            assert.equal(fs.readJsonSync(repo.projectPath+'/packages/b/package.json').dependencies.a,'^3.0.1-SNAPSHOT');
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(repo.cleanup);
+    });
+
+    it('publishes released packages to an npm registry', function(done){
+        /* make a fake package.json file */
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'published-project',
+            version: '1.0.0-SNAPSHOT'
+        },{spaces: 2});
+        Release.perform({
+            projectPath: tmpDir.name,
+            publish: {registry: 'http://localhost:4873', tag: 'next', access: 'public'},
+            buildPromise: function(){}
+        }).then(function(){
+            /* assert package was packed with its release version and published */
+            assert.deepEqual(npmlog,[
+                'npm pack ' + fs.realpathSync(tmpDir.name),
+                'npm publish published-project-1.0.0.tgz --registry http://localhost:4873 --tag next --access public']);
+            /* npm publishes from the project so that its .npmrc applies */
+            assert.equal(npmDirectories.publish,tmpDir.name);
+            done();
+        }).catch(function(error){
+            done(error);
+        });
+    });
+
+    it('unpublishes released packages when a later step fails', function(done){
+        /* make a fake package.json file */
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'published-project',
+            version: '1.0.0-SNAPSHOT'
+        },{spaces: 2});
+        gitStubs['push origin master'] = new Error('failure to push');
+        Release.perform({
+            projectPath: tmpDir.name,
+            publish: {registry: 'http://localhost:4873'},
+            buildPromise: function(){}
+        }).then(function(){
+            done(new Error("release should have failed"));
+        }).catch(function(error){
+            try{
+                assert.include(error.message,'failure to push');
+                assert.isUndefined(error.rollbackFailures);
+                assert.equal(npmlog[npmlog.length-1],'npm unpublish published-project@1.0.0 --registry http://localhost:4873');
+                assert.equal(npmDirectories.unpublish,tmpDir.name);
+                done();
+            }catch(e){
+                done(e);
+            }
+        });
+    });
+
+    it('deprecates released packages that can not be unpublished', function(done){
+        /* make a fake package.json file */
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'published-project',
+            version: '1.0.0-SNAPSHOT'
+        },{spaces: 2});
+        gitStubs['push origin master'] = new Error('failure to push');
+        npmStubs['unpublish published-project@1.0.0'] = new Error('cannot unpublish');
+        Release.perform({
+            projectPath: tmpDir.name,
+            publish: true,
+            buildPromise: function(){}
+        }).then(function(){
+            done(new Error("release should have failed"));
+        }).catch(function(error){
+            try{
+                assert.deepEqual(error.rollbackFailures,['published-project@1.0.0 could not be unpublished and was deprecated instead']);
+                assert.equal(npmlog[npmlog.length-1],'npm deprecate published-project@1.0.0 Release rolled back; do not use this version');
+                done();
+            }catch(e){
+                done(e);
+            }
+        });
+    });
+
+    it('creates GitHub release pages with assets for pushed tags', function(done){
+        var api;
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'paged-project',
+            version: '1.0.0-SNAPSHOT'
+        },{spaces: 2});
+        fs.writeFileSync(tmpDir.name+'/dist.txt','dist');
+        gitStubs['remote get-url origin'] = 'git@github.com:pulsepointinc/paged-project.git\n';
+        process.env.TEST_RELEASE_TOKEN = 'secret';
+        startApiServer(function(method,url,api){
+            if(url === '/repos/pulsepointinc/paged-project/releases'){
+                return {status: 201, body: {id: 7, html_url: 'https://github.com/pulsepointinc/paged-project/releases/tag/paged-project-1.0.0',
+                    upload_url: api.url + '/uploads/7/assets{?name,label}'}};
+            }
+            return {status: 201, body: {}};
+        }).then(function(server){
+            api = server;
+            return Release.perform({
+                projectPath: tmpDir.name,
+                releasePage: {apiUrl: api.url, tokenEnv: 'TEST_RELEASE_TOKEN', assets: ['dist.txt'], pack: true},
+                buildPromise: function(){}
+            });
+        }).then(function(results){
+            /* the page is created after the tag is pushed */
+            assert.isAbove(gitlog.indexOf('git push origin master'),gitlog.indexOf('git push origin paged-project-1.0.0'));
+            assert.deepEqual(api.requests.map(function(request){
+                return request.method + ' ' + request.url;
+            }),[
+                'POST /repos/pulsepointinc/paged-project/releases',
+                'POST /uploads/7/assets?name=paged-project-1.0.0.tgz',
+                'POST /uploads/7/assets?name=dist.txt'
+            ]);
+            assert.equal(api.requests[0].headers.authorization,'Bearer secret');
+            assert.deepEqual(JSON.parse(api.requests[0].body),
+                {tag_name: 'paged-project-1.0.0', name: 'paged-project-1.0.0', body: '[release] - 1.0.0 release'});
+            assert.equal(api.requests[1].headers['content-type'],'application/octet-stream');
+            assert.equal(api.requests[1].body,'tarball');
+            assert.equal(api.requests[2].body,'dist');
+            assert.deepEqual(results.releasePages,[{tagName: 'paged-project-1.0.0',
+                url: 'https://github.com/pulsepointinc/paged-project/releases/tag/paged-project-1.0.0'}]);
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(function(){
+            delete process.env.TEST_RELEASE_TOKEN;
+            fs.removeSync(tmpDir.name+'/dist.txt');
+            if(api){
+                api.close();
+            }
+        });
+    });
+
+    it('deletes GitLab release pages when a later step fails', function(done){
+        var api;
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'paged-project',
+            version: '1.0.0-SNAPSHOT'
+        },{spaces: 2});
+        gitStubs['push origin master'] = new Error('failure to push');
+        process.env.TEST_RELEASE_TOKEN = 'secret';
+        startApiServer(function(method,url){
+            if(url === '/api/v4/projects/group%2Fpaged-project/uploads'){
+                return {status: 201, body: {url: '/uploads/abc/paged-project-1.0.0.tgz', full_path: '/-/project/1/uploads/abc/paged-project-1.0.0.tgz'}};
+            }
+            return {status: method === 'DELETE' ? 200 : 201, body: {_links: {self: 'https://gitlab.example.com/group/paged-project/-/releases/paged-project-1.0.0'}}};
+        }).then(function(server){
+            api = server;
+            return Release.perform({
+                projectPath: tmpDir.name,
+                releasePage: {provider: 'gitlab', repository: 'group/paged-project', apiUrl: api.url + '/api/v4/', tokenEnv: 'TEST_RELEASE_TOKEN', pack: true},
+                buildPromise: function(){}
+            });
+        }).then(function(){
+            done(new Error("release should have failed"));
+        }).catch(function(error){
+            try{
+                assert.include(error.message,'failure to push');
+                assert.isUndefined(error.rollbackFailures);
+                assert.deepEqual(api.requests.map(function(request){
+                    return request.method + ' ' + request.url;
+                }),[
+                    'POST /api/v4/projects/group%2Fpaged-project/releases',
+                    'POST /api/v4/projects/group%2Fpaged-project/uploads',
+                    'POST /api/v4/projects/group%2Fpaged-project/releases/paged-project-1.0.0/assets/links',
+                    'DELETE /api/v4/projects/group%2Fpaged-project/releases/paged-project-1.0.0'
+                ]);
+                assert.equal(api.requests[0].headers['private-token'],'secret');
+                assert.equal(JSON.parse(api.requests[0].body).description,'[release] - 1.0.0 release');
+                assert.include(api.requests[1].body,'filename="paged-project-1.0.0.tgz"');
+                assert.deepEqual(JSON.parse(api.requests[2].body),
+                    {name: 'paged-project-1.0.0.tgz', url: api.url + '/-/project/1/uploads/abc/paged-project-1.0.0.tgz'});
+                done();
+            }catch(e){
+                done(e);
+            }
+        }).finally(function(){
+            delete process.env.TEST_RELEASE_TOKEN;
+            if(api){
+                api.close();
+            }
+        });
+    });
+
+    it('requires a token for release pages', function(){
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'paged-project',
+            version: '1.0.0-SNAPSHOT'
+        },{spaces: 2});
+        assert.throws(function(){
+            Release.perform({
+                projectPath: tmpDir.name,
+                releasePage: {tokenEnv: 'TEST_MISSING_RELEASE_TOKEN'},
+                buildPromise: function(){}
+            });
+        },/Release pages require a github token in the TEST_MISSING_RELEASE_TOKEN environment variable/);
+        assert.throws(function(){
+            Release.perform({
+                projectPath: tmpDir.name,
+                releasePage: {provider: 'bitbucket'},
+                buildPromise: function(){}
+            });
+        },/Release page provider must be one of github, gitlab/);
+        assert.deepEqual(gitlog,[]);
+    });
+
+    it('runs lifecycle hooks around release steps', function(done){
+        /* make a fake package.json file */
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'hooked-project',
+            version: '1.0.0-SNAPSHOT'
+        },{spaces: 2});
+        var hookCalls = [],
+            tagContext = null,
+            hooks = {};
+        ['preCheck','preVersion','postVersion','preCommit','preTag','postTag','prePush','postPush','onSuccess'].forEach(function(hookName){
+            hooks[hookName] = function(context){
+                hookCalls.push(hookName);
+                if(hookName === 'preTag'){
+                    tagContext = context;
+                }
+                return q();
+            };
+        });
+        Release.perform({
+            projectPath: tmpDir.name,
+            hooks: hooks,
+            plugins: [{
+                name: 'test-plugin',
+                postPush: function(){
+                    hookCalls.push('plugin postPush');
+                }
+            }],
+            buildPromise: function(){}
+        }).then(function(){
+            assert.deepEqual(hookCalls,['preCheck','preVersion','postVersion','preCommit','preTag','postTag','preCommit','prePush',
+                'postPush','plugin postPush','onSuccess']);
+            assert.equal(tagContext.releaseVersion,'1.0.0');
+            assert.equal(tagContext.devVersion,'1.0.0-SNAPSHOT');
+            assert.equal(tagContext.preReleaseCommit,'aaaaaaa');
+            assert.equal(tagContext.branch,'master');
+            assert.equal(tagContext.tagName,'hooked-project-1.0.0');
+            done();
+        }).catch(function(error){
+            done(error);
+        });
+    });
+
+    it('loads plugins by module name', function(done){
+        /* make a fake package.json file and a plugin module */
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'plugged-project',
+            version: '1.0.0-SNAPSHOT'
+        },{spaces: 2});
+        fs.outputFileSync(tmpDir.name+'/node_modules/release-test-plugin/index.js',
+            'module.exports = function(options){ return { onRollback: function(context){ options.rolledBack = context.error.message; } }; };\n');
+        var options = {};
+        Release.perform({
+            projectPath: tmpDir.name,
+            plugins: [['release-test-plugin',options]],
+            buildPromise: function(){
+                throw new Error('build has failed!');
+            }
+        }).then(function(){
+            done(new Error("release should have failed"));
+        }).catch(function(error){
+            try{
+                assert.include(error.message,'build has failed!');
+                assert.equal(options.rolledBack,'build has failed!');
+                done();
+            }catch(e){
+                done(e);
+            }
+        }).finally(function(){
+            fs.removeSync(tmpDir.name+'/node_modules');
+        });
+    });
+
+    it('errors out on unknown lifecycle hook', function(){
+        try{
+            Release.perform({
+                projectPath: tmpDir.name,
+                hooks: {afterEverything: function(){}},
+                buildPromise: function(){}
+            });
+        }catch(expected){
+            assert.include(expected.message,'Unknown release hook afterEverything');
+            return;
+        }
+        assert.fail();
+    });
+
+    it('performs releases with isolated instances', function(done){
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'instance-project',
+            version: '1.0.0-SNAPSHOT'
+        },{spaces: 2});
+        var responses = {'rev-parse --verify HEAD': 'bbbbbbb', 'rev-parse --abbrev-ref HEAD': 'main'},
+            recorder = createGitRecorder({responses: responses}),
+            otherRecorder = createGitRecorder({responses: responses}),
+            messages = [],
+            logger = {},
+            release,
+            otherRelease;
+        ['debug','info','warn','error'].forEach(function(level){
+            logger[level] = function(message){
+                messages.push(level + ' ' + message);
+            };
+        });
+        release = Release.createRelease({logger: logger, gitExecutor: recorder, cwd: tmpDir.name});
+        otherRelease = Release.createRelease({gitExecutor: otherRecorder, logLevel: 'error'});
+        release.perform({
+            debug: true,
+            buildPromise: function(){}
+        }).then(function(results){
+            assert.equal(results.releaseVersion,'1.0.0');
+            assert.include(recorder.commands,'git tag -a -m [release] - 1.0.0 release instance-project-1.0.0');
+            assert.include(recorder.commands,'git push origin main');
+            assert.deepEqual(recorder.calls[0],{command: ['status','--porcelain'], cwd: tmpDir.name});
+            assert.include(messages,'debug #perform:read DEV branch as main');
+            /* neither the default nor other instances share git executor, log level or events */
+            assert.deepEqual(otherRecorder.calls,[]);
+            assert.deepEqual(gitlog,[]);
+            assert.equal(otherRelease.logLevel,'error');
+            assert.equal(Release.logLevel,'info');
+            assert.notStrictEqual(release.events,Release.events);
+            done();
+        }).catch(function(error){
+            done(error);
+        });
+    });
+
+    it('filters log messages by level', function(){
+        var messages = [],
+            release = Release.createRelease({
+                logLevel: 'warn',
+                logger: {
+                    warn: function(message){
+                        messages.push(message);
+                    }
+                }
+            });
+        release.debug('debug message');
+        release.warn('warning');
+        assert.deepEqual(messages,['warning']);
+    });
+
+    it('logs debug messages of instances with the deprecated debugEnabled flag', function(){
+        var messages = [],
+            release = Release.createRelease({
+                logger: {
+                    debug: function(message){
+                        messages.push(message);
+                    }
+                }
+            });
+        release.debug('hidden debug message');
+        release.debugEnabled = true;
+        release.debug('debug message');
+        assert.deepEqual(messages,['debug message']);
+    });
+
+    it('runs npm commands with an npm executor', function(done){
+        var calls = [],
+            release = Release.createRelease({
+                npmExecutor: function(commands,cwd){
+                    calls.push({command: commands, cwd: cwd});
+                    return q({stdout: '10.0.0\n', stderr: ''});
+                }
+            });
+        release.readNpmVersion(tmpDir.name).then(function(npmVersion){
+            assert.equal(npmVersion,'10.0.0');
+            assert.deepEqual(calls,[{command: ['--version'], cwd: tmpDir.name}]);
+            done();
+        }).catch(function(error){
+            done(error);
+        });
+    });
+
+    it('records git commands with stubbed responses', function(done){
+        var failure = new Error('no such ref'),
+            recorder = createGitRecorder({
+                responses: {
+                    'rev-parse --abbrev-ref HEAD': 'master',
+                    'describe --tags': failure,
+                    'tag -l': function(commands,cwd){
+                        return q('v1.0.0 in ' + cwd);
+                    }
+                },
+                gitExecutor: function(commands){
+                    return q({stdout: 'delegated ' + commands.join(' '), stderr: ''});
+                }
+            }),
+            release = Release.createRelease({gitExecutor: recorder}),
+            gitEvents = [];
+        release.events.on('git',function(event){
+            gitEvents.push(event.command.join(' ') + ' ' + event.exitCode);
+        });
+        release.readCurrentBranch('/project').then(function(branch){
+            assert.equal(branch,'master');
+            return release.git(['tag','-l'],'/project');
+        }).then(function(result){
+            assert.equal(result.stdout,'v1.0.0 in /project');
+            return release.git(['status'],'/project');
+        }).then(function(result){
+            assert.equal(result.stdout,'delegated status');
+            return release.git(['describe','--tags'],'/project').then(function(){
+                throw new Error('describe should have failed');
+            },function(error){
+                assert.strictEqual(error,failure);
+            });
+        }).then(function(){
+            assert.deepEqual(recorder.commands,['git rev-parse --abbrev-ref HEAD','git tag -l','git status','git describe --tags']);
+            assert.deepEqual(gitEvents,['rev-parse --abbrev-ref HEAD 0','tag -l 0','status 0','describe --tags null']);
+            done();
+        }).catch(function(error){
+            done(error);
+        });
+    });
+
+    it('matches branches against a branch policy', function(){
+        assert.isTrue(Release.isBranchAllowed('master',['master','release/*']));
+        assert.isTrue(Release.isBranchAllowed('release/1.x',['master','release/*']));
+        assert.isFalse(Release.isBranchAllowed('feature/release',['master','release/*']));
+        assert.isTrue(Release.isBranchAllowed('hotfix-12',/^hotfix-\d+$/));
+    });
+
+    /* run a release expected to fail a pre-flight check and verify nothing was modified */
+    var assertPreflightFailure = function(config,code,done){
+        if(!config.projectPath){
+            fs.writeJsonSync(tmpDir.name+'/package.json',{
+                name: 'checked-project',
+                version: '1.0.0-SNAPSHOT'
+            },{spaces: 2});
+            config.projectPath = tmpDir.name;
+        }
+        config.buildPromise = function(){};
+        Release.perform(config).then(function(){
+            done(new Error("release should have failed"));
+        }).catch(function(error){
+            try{
+                assert.equal(error.code,code);
+                assert.equal(fs.readJsonSync(config.projectPath+'/package.json').version,'1.0.0-SNAPSHOT');
+                assert.notInclude(gitlog.join('\n'),'git commit');
+                done();
+            }catch(e){
+                done(e);
+            }
+        });
+    };
+
+    it('refuses to release from a branch outside the branch policy', function(done){
+        assertPreflightFailure({branches: ['release/*']},'RELEASE_BRANCH_NOT_ALLOWED',done);
+    });
+
+    it('refuses to release an existing tag', function(done){
+        gitStubs['ls-remote --tags origin refs/tags/checked-project-1.0.0'] = 'aaaaaaa\trefs/tags/checked-project-1.0.0\n';
+        assertPreflightFailure({},'RELEASE_TAG_EXISTS',done);
+    });
+
+    it('refuses to release a version older than a released version', function(done){
+        gitStubs['tag -l checked-project-[0-9]*'] = 'checked-project-0.9.0\nchecked-project-1.1.0\n';
+        assertPreflightFailure({},'RELEASE_VERSION_NOT_NEWER',done);
+    });
+
+    it('refuses to release with SNAPSHOT, git branch ref or file link dependencies', function(done){
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'checked-project',
+            version: '1.0.0-SNAPSHOT',
+            dependencies: {
+                snapshot: '1.0.0-SNAPSHOT',
+                branch: 'pulsepointinc/branch#master',
+                linked: 'file:../linked',
+                ranged: '^1.2.0',
+                tagged: 'pulsepointinc/tagged#tagged-1.0.0',
+                committed: 'git+https://github.com/pulsepointinc/committed.git#0123abc'
+            },
+            devDependencies: {
+                tooling: '1.0.0-SNAPSHOT'
+            },
+            peerDependencies: {
+                untracked: 'git+ssh://git@github.com/pulsepointinc/untracked.git'
+            }
+        },{spaces: 2});
+        Release.perform({
+            projectPath: tmpDir.name,
+            buildPromise: function(){}
+        }).then(function(){
+            done(new Error("release should have failed"));
+        }).catch(function(error){
+            try{
+                assert.equal(error.code,'RELEASE_UNSTABLE_DEPENDENCIES');
+                assert.include(error.message,'Released packages depend on unstable versions:\n' +
+                    ' - checked-project dependencies snapshot: 1.0.0-SNAPSHOT (SNAPSHOT version)\n' +
+                    ' - checked-project dependencies branch: pulsepointinc/branch#master (branch ref)\n' +
+                    ' - checked-project dependencies linked: file:../linked (file link)\n' +
+                    ' - checked-project peerDependencies untracked: git+ssh://git@github.com/pulsepointinc/untracked.git (branch ref)');
+                assert.notInclude(error.message,'ranged');
+                assert.notInclude(error.message,'tagged');
+                assert.notInclude(error.message,'committed');
+                assert.notInclude(error.message,'tooling');
+                assert.deepEqual(Release.gitDependency('github:pulsepointinc/foo#master'),
+                    {base: 'github:pulsepointinc/foo', url: 'https://github.com/pulsepointinc/foo.git', ref: 'master'});
+                assert.deepEqual(Release.gitDependency('pulsepointinc/foo'),
+                    {base: 'pulsepointinc/foo', url: 'https://github.com/pulsepointinc/foo.git', ref: null});
+                assert.isNull(Release.gitDependency('^1.0.0'));
+                done();
+            }catch(e){
+                done(e);
+            }
+        });
+    });
+
+    it('pins git branch ref dependencies to their latest release tags', function(done){
+        var dependency = createGitProject('dependency','1.2.0'),
+            repo = createGitProject('pinning-project','1.0.0-SNAPSHOT'),
+            branchSpec = 'git+file://' + dependency.remotePath + '#master';
+        ['dependency-1.1.0','dependency-1.10.0','dependency-1.9.0'].forEach(function(tagName){
+            git(dependency.projectPath,['tag','-a','-m',tagName,tagName]);
+        });
+        git(dependency.projectPath,['push','-q','origin','--tags']);
+        fs.writeJsonSync(repo.projectPath+'/package.json',{
+            name: 'pinning-project',
+            version: '1.0.0-SNAPSHOT',
+            dependencies: {dependency: branchSpec}
+        },{spaces: 2});
+        git(repo.projectPath,['commit','-q','-a','-m','depend on dependency']);
+        git(repo.projectPath,['push','-q','origin','master']);
+        Release = createTestRelease(realGit);
+        Release.perform({
+            projectPath: repo.projectPath,
+            pinDependencies: true,
+            buildPromise: function(){}
+        }).then(function(){
+            /* released with the pinned dependency, developed further on the branch */
+            assert.equal(JSON.parse(git(repo.projectPath,['show','pinning-project-1.0.0:package.json'])).dependencies.dependency,
+                'git+file://' + dependency.remotePath + '#dependency-1.10.0');
+            assert.equal(fs.readJsonSync(repo.projectPath+'/package.json').dependencies.dependency,branchSpec);
+            assert.equal(git(repo.projectPath,['status','--porcelain']),'');
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(function(){
+            dependency.cleanup();
+            repo.cleanup();
+        });
+    });
+
+    it('skips pre-flight checks by name', function(done){
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'checked-project',
+            version: '1.0.0-SNAPSHOT'
+        },{spaces: 2});
+        gitStubs['tag -l checked-project-[0-9]*'] = 'checked-project-1.1.0\n';
+        Release.perform({
+            projectPath: tmpDir.name,
+            branches: 'release/*',
+            skipChecks: ['branch','version'],
+            buildPromise: function(){}
+        }).then(function(results){
+            assert.equal(results.releaseVersion,'1.0.0');
+            done();
+        }).catch(function(error){
+            done(error);
+        });
+    });
+
+    it('refuses to release a branch that is out of sync with its remote', function(done){
+        var repo = createGitProject('unsynced-project','1.0.0-SNAPSHOT');
+        fs.writeFileSync(repo.projectPath+'/index.js','module.exports = 1;\n');
+        git(repo.projectPath,['add','index.js']);
+        git(repo.projectPath,['commit','-q','-m','unpushed commit']);
+        Release = createTestRelease(realGit);
+        assertPreflightFailure({projectPath: repo.projectPath},'RELEASE_BRANCH_OUT_OF_SYNC',function(error){
+            repo.cleanup();
+            done(error);
+        });
+    });
+
+    it('refuses to release when the remote is unreachable', function(done){
+        var repo = createGitProject('unreachable-project','1.0.0-SNAPSHOT');
+        fs.removeSync(repo.remotePath);
+        Release = createTestRelease(realGit);
+        assertPreflightFailure({projectPath: repo.projectPath},'RELEASE_REMOTE_UNREACHABLE',function(error){
+            repo.cleanup();
+            done(error);
+        });
+    });
+
+    it('updates versions keeping file formatting', function(done){
+        fs.writeFileSync(tmpDir.name+'/package.json','{\r\n    "name": "formatted-project",\r\n    "version": "1.0.0-SNAPSHOT"\r\n}');
+        fs.writeFileSync(tmpDir.name+'/package-lock.json',JSON.stringify({
+            name: 'formatted-project',
+            version: '1.0.0-SNAPSHOT',
+            lockfileVersion: 3,
+            packages: {
+                '': {name: 'formatted-project', version: '1.0.0-SNAPSHOT'},
+                'node_modules/semver': {version: '4.3.4'}
+            }
+        },null,'\t')+'\n');
+        Release.updateVersion(tmpDir.name,'1.0.0').then(function(){
+            return Release.updateVersion(tmpDir.name,'1.0.1-SNAPSHOT');
+        }).then(function(){
+            assert.equal(fs.readFileSync(tmpDir.name+'/package.json','utf8'),
+                '{\r\n    "name": "formatted-project",\r\n    "version": "1.0.1-SNAPSHOT"\r\n}');
+            var lock = fs.readFileSync(tmpDir.name+'/package-lock.json','utf8');
+            assert.equal(lock,JSON.stringify({
+                name: 'formatted-project',
+                version: '1.0.1-SNAPSHOT',
+                lockfileVersion: 3,
+                packages: {
+                    '': {name: 'formatted-project', version: '1.0.1-SNAPSHOT'},
+                    'node_modules/semver': {version: '4.3.4'}
+                }
+            },null,'\t')+'\n');
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(function(){
+            fs.removeSync(tmpDir.name+'/package-lock.json');
+        });
+    });
+
+    it('updates versions in additional files and commits them', function(done){
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'versioned-project',
+            version: '1.0.0-SNAPSHOT'
+        },{spaces: 2});
+        fs.outputFileSync(tmpDir.name+'/src/version.js','module.exports = { VERSION: \'1.0.0-SNAPSHOT\' };\n');
+        fs.outputFileSync(tmpDir.name+'/Dockerfile','FROM node\nLABEL version="1.0.0-SNAPSHOT"\n');
+        fs.outputJsonSync(tmpDir.name+'/meta.json',{build: {version: '1.0.0-SNAPSHOT'}});
+        Release.perform({
+            projectPath: tmpDir.name,
+            versionFiles: [
+                {path: 'src/version.js', pattern: "VERSION: '([^']+)'"},
+                {path: 'Dockerfile', pattern: 'LABEL version="([^"]+)"'},
+                {path: 'meta.json', jsonPath: 'build.version'}
+            ],
+            buildPromise: function(){
+                assert.equal(fs.readFileSync(tmpDir.name+'/src/version.js','utf8'),'module.exports = { VERSION: \'1.0.0\' };\n');
+            }
+        }).then(function(){
+            assert.equal(fs.readFileSync(tmpDir.name+'/Dockerfile','utf8'),'FROM node\nLABEL version="1.0.1-SNAPSHOT"\n');
+            assert.equal(fs.readJsonSync(tmpDir.name+'/meta.json').build.version,'1.0.1-SNAPSHOT');
+            assert.include(gitlog,'git commit package.json src/version.js Dockerfile meta.json -m [release] - releasing 1.0.0');
+            assert.include(gitlog,'git commit package.json src/version.js Dockerfile meta.json -m [release] - updating dev version to 1.0.1-SNAPSHOT');
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(function(){
+            ['src','Dockerfile','meta.json'].forEach(function(file){
+                fs.removeSync(tmpDir.name+'/'+file);
+            });
+        });
+    });
+
+    it('fails releases whose version files have no version at their jsonPath', function(done){
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'versioned-project',
+            version: '1.0.0-SNAPSHOT'
+        },{spaces: 2});
+        fs.outputJsonSync(tmpDir.name+'/meta.json',{build: {}});
+        Release.perform({
+            projectPath: tmpDir.name,
+            versionFiles: [{path: 'meta.json', jsonPath: 'build.version'}],
+            buildPromise: function(){}
+        }).then(function(){
+            throw new Error("release should have failed");
+        },function(error){
+            assert.include(error.message,'Could not find version jsonPath build.version in meta.json');
+            assert.notInclude(gitlog.join('\n'),'git commit');
+            assert.deepEqual(fs.readJsonSync(tmpDir.name+'/meta.json'),{build: {}});
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(function(){
+            fs.removeSync(tmpDir.name+'/meta.json');
+        });
+    });
+
+    var Release,gitlog = [],gitStubs = {},npmlog = [],npmStubs = {},npmDirectories = {},tmpDir,realGit = releaseModule.gitExecutor;
+    /* run a real git command synchronously and return its trimmed output */
+    var git = function(cwd,commands){
+        return execFileSync('git',commands,{cwd: cwd, stdio: ['ignore','pipe','ignore']}).toString().trim();
+    };
+    it('formats tag names and commit messages from templates', function(done){
+        fs.writeJsonSync(tmpDir.name+'/package.json',{
+            name: 'templated-project',
+            version: '1.0.0-SNAPSHOT'
+        },{spaces: 2});
+        Release.perform({
+            projectPath: tmpDir.name,
+            tagFormat: 'v${version}',
+            tagMessage: 'chore(release): tag ${name} ${version}',
+            commitMessage: 'chore(release): ${name} ${version} from ${branch}',
+            devCommitMessage: 'chore: start ${version}',
+            buildPromise: function(){}
+        }).then(function(results){
+            assert.deepEqual(gitlog.slice(-5),[
+                'git commit package.json -m chore(release): templated-project 1.0.0 from master',
+                'git tag -a -m chore(release): tag templated-project 1.0.0 v1.0.0',
+                'git commit package.json -m chore: start 1.0.1-SNAPSHOT',
+                'git push origin v1.0.0',
+                'git push origin master']);
+            /* release tags are looked up by tag format */
+            assert.include(gitlog,'git tag -l v[0-9]*');
+            assert.isTrue(Release.isReleaseCommit({commitMessage: 'chore(release): ${version}'},'chore(release): 1.0.0\n\nbody'));
+            assert.isFalse(Release.isReleaseCommit({},'chore(release): 1.0.0'));
+            done();
+        }).catch(function(error){
+            done(error);
+        });
+    });
+
+    it('reads release versions from tags in the tag format', function(done){
+        gitStubs['tag -l v[0-9]*'] = 'v0.9.0\nv1.1.0\nv1.2.0-beta.1\n';
+        Release.readReleaseVersions(tmpDir.name,'project','v${version}').then(function(versions){
+            assert.deepEqual(versions,['0.9.0','1.1.0','1.2.0-beta.1']);
+            done();
+        }).catch(function(error){
+            done(error);
+        });
+    });
+
+    it('errors out on unknown template placeholders', function(){
+        try{
+            Release.perform({
+                projectPath: tmpDir.name,
+                tagFormat: '${project}-${version}',
+                buildPromise: function(){}
+            });
+        }catch(expected){
+            assert.include(expected.message,'${project}');
+            return;
+        }
+        assert.fail();
+    });
+
+    it('signs release commits and tags', function(done){
+        var repo = createGitProject('signed-project','1.0.0-SNAPSHOT'),
+            gnupgHome = repo.projectPath+'/../gnupg',
+            originalGnupgHome = process.env.GNUPGHOME;
+        /* generate a throwaway signing key */
+        fs.mkdirsSync(gnupgHome);
+        fs.chmodSync(gnupgHome,448);
+        process.env.GNUPGHOME = gnupgHome;
+        execFileSync('gpg',['--batch','--passphrase','','--quick-gen-key','Test User <test@example.com>','ed25519','sign','never'],
+            {stdio: 'ignore'});
+        git(repo.projectPath,['config','user.signingkey','test@example.com']);
+        Release = createTestRelease(realGit);
+        Release.perform({
+            projectPath: repo.projectPath,
+            sign: true,
+            buildPromise: function(){}
+        }).then(function(){
+            /* verification fails (and throws) on unsigned commits and tags */
+            git(repo.projectPath,['verify-tag','signed-project-1.0.0']);
+            git(repo.projectPath,['verify-commit','signed-project-1.0.0^{commit}']);
+            git(repo.projectPath,['verify-commit','HEAD']);
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(function(){
+            execFileSync('gpgconf',['--kill','gpg-agent'],{stdio: 'ignore'});
+            if(originalGnupgHome === undefined){
+                delete process.env.GNUPGHOME;
+            }else{
+                process.env.GNUPGHOME = originalGnupgHome;
+            }
+            repo.cleanup();
+        });
+    });
+
+    it('holds a release lock on the remote while releasing', function(done){
+        var repo = createGitProject('locked-project','1.0.0-SNAPSHOT'),
+            lockRef = 'refs/release-lock/master',
+            heldLock;
+        Release = createTestRelease(realGit);
+        Release.perform({
+            projectPath: repo.projectPath,
+            lock: true,
+            lockOwner: 'ci-job-1',
+            buildPromise: function(){
+                heldLock = git(repo.remotePath,['log','-1','--format=%B',lockRef]);
+                throw new Error('build failed');
+            }
+        }).then(function(){
+            throw new Error("release should have failed");
+        },function(error){
+            assert.include(error.message,'build failed');
+            assert.equal(JSON.parse(heldLock).owner,'ci-job-1');
+            /* the lock is released when the release fails */
+            assert.equal(git(repo.remotePath,['for-each-ref',lockRef]),'');
+            return Release.perform({
+                projectPath: repo.projectPath,
+                lock: true,
+                buildPromise: function(){
+                    heldLock = git(repo.remotePath,['log','-1','--format=%B',lockRef]);
+                }
+            });
+        }).then(function(){
+            assert.include(JSON.parse(heldLock).owner,'(pid ' + process.pid + ')');
+            assert.isNotNull(JSON.parse(heldLock).startTime);
+            /* and when it succeeds */
+            assert.equal(git(repo.remotePath,['for-each-ref',lockRef]),'');
+            assert.equal(git(repo.remotePath,['tag']),'locked-project-1.0.0');
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(repo.cleanup);
+    });
+
+    it('refuses to release a branch locked by another release unless unlocking it', function(done){
+        var repo = createGitProject('contended-project','1.0.0-SNAPSHOT'),
+            builds = 0;
+        Release = createTestRelease(realGit);
+        Release.lock(repo.projectPath,'origin','master','other-job').then(function(){
+            return Release.perform({
+                projectPath: repo.projectPath,
+                lock: true,
+                buildPromise: function(){
+                    builds++;
+                }
+            });
+        }).then(function(){
+            throw new Error("release should have failed");
+        },function(error){
+            assert.equal(error.code,'RELEASE_LOCKED');
+            assert.include(error.message,'Branch master is locked by a release of other-job started ');
+            assert.equal(builds,0);
+            /* another release's lock is left alone */
+            return Release.readLock(repo.projectPath,'origin','master');
+        }).then(function(heldLock){
+            assert.equal(heldLock.owner,'other-job');
+            return Release.perform({
+                projectPath: repo.projectPath,
+                forceUnlock: true,
+                buildPromise: function(){
+                    builds++;
+                }
+            });
+        }).then(function(){
+            assert.equal(builds,1);
+            return Release.readLock(repo.projectPath,'origin','master');
+        }).then(function(heldLock){
+            assert.isNull(heldLock);
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(repo.cleanup);
+    });
+
+    it('keeps rolling back a failed release when a rollback stage fails', function(done){
+        var repo = createGitProject('stubborn-project','1.0.0-SNAPSHOT'),
+            preReleaseCommit = git(repo.projectPath,['rev-parse','HEAD']);
+        rejectPushes(repo,'refs/heads/*');
+        Release = createTestRelease(realGit);
+        Release.perform({
+            projectPath: repo.projectPath,
+            publish: true,
+            lock: true,
+            buildPromise: function(){},
+            postReleasePromise: function(){
+                return {
+                    rollback: function(){
+                        throw new Error('post-release rollback failed');
+                    }
+                };
+            }
+        }).then(function(){
+            throw new Error("release should have failed");
+        },function(error){
+            assert.include(error.message,'Could not execute git push origin master');
+            assert.deepEqual(error.rollbackFailures,['post-release work could not be rolled back (post-release rollback failed)']);
+            /* every other rollback stage still ran */
+            assert.equal(npmlog[npmlog.length-1],'npm unpublish stubborn-project@1.0.0');
+            assert.equal(git(repo.projectPath,['tag']),'');
+            assert.equal(git(repo.projectPath,['rev-parse','HEAD']),preReleaseCommit);
+            assert.equal(git(repo.remotePath,['for-each-ref','refs/release-lock']),'');
+            assert.isFalse(fs.existsSync(Release.journalPath(repo.projectPath)));
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(repo.cleanup);
+    });
+
+    it('records a release manifest in git notes and a file', function(done){
+        var repo = createGitProject('manifest-project','1.0.0-SNAPSHOT'),
+            preReleaseCommit = git(repo.projectPath,['rev-parse','HEAD']),
+            clonePath = repo.projectPath+'/../clone',
+            results;
+        Release = createTestRelease(realGit);
+        Release.perform({
+            projectPath: repo.projectPath,
+            manifest: true,
+            manifestFile: '../manifest.json',
+            buildPromise: function(){},
+            postReleasePromise: function(){
+                return {artifact: 'manifest-project-1.0.0.tgz', rollback: function(){}};
+            }
+        }).then(function(releaseResults){
+            results = releaseResults;
+            /* manifests are read from the notes pushed to origin */
+            git(repo.projectPath+'/..',['clone','-q',repo.remotePath,clonePath]);
+            return Release.readManifest('1.0.0',{projectPath: clonePath});
+        }).then(function(manifest){
+            assert.deepEqual(manifest,results.manifest);
+            assert.deepEqual(fs.readJsonSync(repo.projectPath+'/../manifest.json'),manifest);
+            assert.equal(manifest.name,'manifest-project');
+            assert.equal(manifest.releaseVersion,'1.0.0');
+            assert.equal(manifest.devVersion,'1.0.1-SNAPSHOT');
+            assert.equal(manifest.tagName,'manifest-project-1.0.0');
+            assert.equal(manifest.branch,'master');
+            assert.equal(manifest.preReleaseCommit,preReleaseCommit);
+            assert.equal(manifest.releaseCommit,git(repo.projectPath,['rev-parse','manifest-project-1.0.0^{commit}']));
+            assert.equal(manifest.devCommit,git(repo.projectPath,['rev-parse','HEAD']));
+            assert.isNumber(manifest.stepDurations.tag);
+            /* the manifest is recorded before pushing */
+            assert.isNumber(manifest.stepDurations.commitDevVersion);
+            assert.notProperty(manifest.stepDurations,'pushTag');
+            assert.equal(manifest.buildDuration,manifest.stepDurations.build);
+            assert.equal(manifest.nodeVersion,process.version);
+            assert.property(manifest,'npmVersion');
+            assert.deepEqual(manifest.postReleaseResult,{artifact: 'manifest-project-1.0.0.tgz'});
+            /* the project defaults to the current directory */
+            process.chdir(clonePath);
+            return Release.readManifest('1.0.0').finally(function(){
+                process.chdir(__dirname);
+            });
+        }).then(function(manifest){
+            assert.equal(manifest.tagName,'manifest-project-1.0.0');
+            return Release.readManifest('0.9.0',{projectPath: clonePath}).then(function(){
+                throw new Error("reading a missing manifest should have failed");
+            },function(error){
+                assert.equal(error.message,'There is no release manifest of manifest-project-0.9.0');
+            });
+        }).then(function(){
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(repo.cleanup);
+    });
+
+    it('requires manifest files inside the project to be git-ignored', function(done){
+        var repo = createGitProject('manifest-file-project','1.0.0-SNAPSHOT'),
+            preReleaseCommit;
+        Release = createTestRelease(realGit);
+        fs.writeFileSync(repo.projectPath+'/.gitignore','release-manifest.json\n');
+        git(repo.projectPath,['add','.gitignore']);
+        git(repo.projectPath,['commit','-q','-m','chore: ignore manifest']);
+        git(repo.projectPath,['push','-q','origin','master']);
+        Release.perform({projectPath: repo.projectPath, manifestFile: 'release-manifest.json', buildPromise: function(){}}).then(function(){
+            assert.equal(fs.readJsonSync(repo.projectPath+'/release-manifest.json').releaseVersion,'1.0.0');
+            /* the next release is not held up by the manifest file of the previous one */
+            return Release.perform({projectPath: repo.projectPath, manifestFile: 'release-manifest.json', buildPromise: function(){}});
+        }).then(function(){
+            assert.equal(fs.readJsonSync(repo.projectPath+'/release-manifest.json').releaseVersion,'1.0.1');
+            preReleaseCommit = git(repo.projectPath,['rev-parse','HEAD']);
+            return Release.perform({projectPath: repo.projectPath, manifestFile: 'manifest.json', buildPromise: function(){}}).then(function(){
+                throw new Error("release with a tracked manifest file should have failed");
+            },function(error){
+                assert.include(error.message,'Release manifest file manifest.json must be git-ignored');
+                assert.equal(git(repo.projectPath,['rev-parse','HEAD']),preReleaseCommit);
+                assert.isFalse(fs.existsSync(repo.projectPath+'/manifest.json'));
+            });
+        }).then(function(){
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(repo.cleanup);
+    });
+    it('removes the release manifest when a release fails', function(done){
+        var repo = createGitProject('unrecorded-project','1.0.0-SNAPSHOT');
+        rejectPushes(repo,'refs/heads/*');
+        Release = createTestRelease(realGit);
+        Release.perform({
+            projectPath: repo.projectPath,
+            manifest: true,
+            buildPromise: function(){}
+        }).then(function(){
+            done(new Error("release should have failed"));
+        }).catch(function(error){
+            try{
+                assert.include(error.message,'Could not execute git push origin master');
+                assert.isUndefined(error.rollbackFailures);
+                assert.equal(git(repo.remotePath,['for-each-ref','refs/notes']),'');
+                assert.equal(git(repo.projectPath,['for-each-ref','refs/notes']),'');
+                done();
+            }catch(e){
+                done(e);
+            }
+        }).finally(repo.cleanup);
+    });
+
+    it('updates git-ignored lockfiles without committing them', function(done){
+        var repo = createGitProject('ignored-lock-project','1.0.0-SNAPSHOT');
+        Release = createTestRelease(realGit);
+        fs.writeFileSync(repo.projectPath+'/.gitignore','package-lock.json\n');
+        git(repo.projectPath,['add','.gitignore']);
+        git(repo.projectPath,['commit','-q','-m','chore: ignore lockfile']);
+        git(repo.projectPath,['push','-q','origin','master']);
+        fs.writeJsonSync(repo.projectPath+'/package-lock.json',{name: 'ignored-lock-project', version: '1.0.0-SNAPSHOT', lockfileVersion: 3});
+        Release.perform({projectPath: repo.projectPath, buildPromise: function(){}}).then(function(){
+            assert.equal(git(repo.remotePath,['show','--format=','--name-only','ignored-lock-project-1.0.0^{commit}']),'package.json');
+            assert.equal(git(repo.remotePath,['log','-1','--format=%s','master']),'[release] - updating dev version to 1.0.1-SNAPSHOT');
+            assert.equal(fs.readJsonSync(repo.projectPath+'/package-lock.json').version,'1.0.1-SNAPSHOT');
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(repo.cleanup);
+    });
+
+    it('releases hotfixes of older release lines from maintenance branches', function(done){
+        var repo = createGitProject('hotfix-project','1.4.2-SNAPSHOT'),
+            build = function(){},
+            masterCommit;
+        Release = createTestRelease(realGit);
+        Release.perform({projectPath: repo.projectPath, buildPromise: build}).then(function(){
+            fs.writeJsonSync(repo.projectPath+'/package.json',{name: 'hotfix-project', version: '2.0.0-SNAPSHOT'},{spaces: 2});
+            git(repo.projectPath,['commit','-q','-a','-m','feat!: version 2']);
+            git(repo.projectPath,['push','-q','origin','master']);
+            return Release.perform({projectPath: repo.projectPath, buildPromise: build});
+        }).then(function(){
+            masterCommit = git(repo.projectPath,['rev-parse','master']);
+            return Release.hotfix({projectPath: repo.projectPath, fromTag: 'hotfix-project-1.4.2', buildPromise: build});
+        }).then(function(results){
+            assert.equal(results.branch,'maintenance/1.4');
+            assert.equal(results.releaseVersion,'1.4.3');
+            assert.equal(results.devVersion,'1.4.4-SNAPSHOT');
+            assert.equal(git(repo.remotePath,['log','-1','--format=%s','hotfix-project-1.4.3']),'[release] - releasing 1.4.3');
+            assert.equal(JSON.parse(git(repo.remotePath,['show','maintenance/1.4:package.json'])).version,'1.4.4-SNAPSHOT');
+            /* the maintenance branch is reused for later hotfixes */
+            return Release.hotfix({projectPath: repo.projectPath, fromTag: 'hotfix-project-1.4.3', buildPromise: build});
+        }).then(function(results){
+            assert.equal(results.releaseVersion,'1.4.4');
+            assert.equal(git(repo.remotePath,['log','-1','--format=%s','maintenance/1.4']),'[release] - updating dev version to 1.4.5-SNAPSHOT');
+            /* master is left alone */
+            assert.equal(git(repo.projectPath,['rev-parse','--abbrev-ref','HEAD']),'master');
+            assert.equal(git(repo.projectPath,['rev-parse','master']),masterCommit);
+            assert.equal(git(repo.remotePath,['rev-parse','master']),masterCommit);
+            assert.equal(fs.readJsonSync(repo.projectPath+'/package.json').version,'2.0.1-SNAPSHOT');
+            return Release.hotfix({projectPath: repo.projectPath, fromTag: 'hotfix-project-2.0.0', buildPromise: function(){
+                throw new Error('hotfix build failed');
+            }}).then(function(){
+                throw new Error("hotfix should have failed");
+            },function(error){
+                assert.include(error.message,'hotfix build failed');
+                /* a maintenance branch created for a failed hotfix is removed */
+                assert.equal(git(repo.projectPath,['branch','--list','maintenance/2.0']),'');
+                assert.equal(git(repo.projectPath,['rev-parse','--abbrev-ref','HEAD']),'master');
+            });
+        }).then(function(){
+            return Release.hotfix({projectPath: repo.projectPath, fromTag: 'hotfix-project-1.3.0', buildPromise: build}).then(function(){
+                throw new Error("hotfix of a missing tag should have failed");
+            },function(error){
+                assert.equal(error.message,'Release tag hotfix-project-1.3.0 does not exist');
+            });
+        }).then(function(){
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(repo.cleanup);
+    });
+
+    it('releases develop through a git-flow release branch merged into main and develop', function(done){
+        var repo = createGitProject('gitflow-project','1.2.0-SNAPSHOT'),
+            builtOn;
+        Release = createTestRelease(realGit);
+        git(repo.projectPath,['checkout','-q','-b','develop']);
+        git(repo.projectPath,['push','-q','origin','develop']);
+        Release.perform({
+            projectPath: repo.projectPath,
+            flow: 'gitflow',
+            mainBranch: 'master',
+            buildPromise: function(){
+                builtOn = git(repo.projectPath,['rev-parse','--abbrev-ref','HEAD']);
+            }
+        }).then(function(){
+            assert.equal(builtOn,'release/1.2.0');
+            /* the tag is on the merge of the release branch into main */
+            assert.equal(git(repo.remotePath,['rev-parse','gitflow-project-1.2.0^{commit}']),git(repo.remotePath,['rev-parse','master']));
+            assert.equal(git(repo.remotePath,['log','-1','--format=%p','master']).split(' ').length,2);
+            assert.equal(JSON.parse(git(repo.remotePath,['show','master:package.json'])).version,'1.2.0');
+            /* develop has the release merged back and the next dev version */
+            assert.equal(git(repo.remotePath,['log','-1','--format=%s','develop']),'[release] - updating dev version to 1.2.1-SNAPSHOT');
+            assert.equal(git(repo.remotePath,['describe','--tags','--abbrev=0','develop']),'gitflow-project-1.2.0');
+            assert.equal(git(repo.projectPath,['rev-parse','--abbrev-ref','HEAD']),'develop');
+            assert.equal(git(repo.projectPath,['branch','--list','release/*']),'');
+            assert.equal(git(repo.remotePath,['branch','--list','release/*']),'');
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(repo.cleanup);
+    });
+
+    it('rolls back every git-flow branch when the release branch does not merge', function(done){
+        var repo = createGitProject('gitflow-conflict-project','1.2.0-SNAPSHOT'),
+            mainCommit,
+            developCommit;
+        Release = createTestRelease(realGit);
+        git(repo.projectPath,['checkout','-q','-b','develop']);
+        git(repo.projectPath,['push','-q','origin','develop']);
+        developCommit = git(repo.projectPath,['rev-parse','develop']);
+        git(repo.projectPath,['checkout','-q','master']);
+        fs.writeJsonSync(repo.projectPath+'/package.json',{name: 'gitflow-conflict-project', version: '1.1.1'},{spaces: 2});
+        git(repo.projectPath,['commit','-q','-a','-m','fix: patched on main']);
+        git(repo.projectPath,['push','-q','origin','master']);
+        mainCommit = git(repo.projectPath,['rev-parse','master']);
+        git(repo.projectPath,['checkout','-q','develop']);
+        Release.perform({
+            projectPath: repo.projectPath,
+            flow: 'gitflow',
+            mainBranch: 'master',
+            buildPromise: function(){}
+        }).then(function(){
+            done(new Error("release should have failed"));
+        }).catch(function(error){
+            try{
+                assert.include(error.message,'git merge');
+                assert.isUndefined(error.rollbackFailures);
+                assert.equal(git(repo.projectPath,['rev-parse','--abbrev-ref','HEAD']),'develop');
+                assert.equal(git(repo.projectPath,['rev-parse','develop']),developCommit);
+                assert.equal(git(repo.projectPath,['rev-parse','master']),mainCommit);
+                assert.equal(git(repo.projectPath,['status','--porcelain']),'');
+                assert.equal(git(repo.projectPath,['branch','--list','release/*']),'');
+                assert.equal(git(repo.projectPath,['tag','-l']),'');
+                assert.equal(git(repo.remotePath,['rev-parse','develop']),developCommit);
+                assert.equal(git(repo.remotePath,['rev-parse','master']),mainCommit);
+                done();
+            }catch(e){
+                done(e);
+            }
+        }).finally(repo.cleanup);
+    });
+
+    it('reverts a published release with revert commits', function(done){
+        var repo = createGitProject('reverted-project','1.0.0-SNAPSHOT'),
+            unpublished = [];
+        Release = createTestRelease(realGit);
+        Release.perform({
+            projectPath: repo.projectPath,
+            buildPromise: function(){}
+        }).then(function(){
+            /* commits of the releasing author after the release are kept */
+            fs.writeFileSync(repo.projectPath+'/notes.txt','notes\n');
+            git(repo.projectPath,['add','notes.txt']);
+            git(repo.projectPath,['commit','-q','-m','docs: add notes']);
+            git(repo.projectPath,['push','-q','origin','master']);
+            return Release.revert({
+                projectPath: repo.projectPath,
+                version: '1.0.0',
+                unpublish: function(release){
+                    /* the release is reverted by the time it is unpublished */
+                    assert.equal(git(repo.remotePath,['tag']),'');
+                    unpublished.push(release);
+                }
+            });
+        }).then(function(results){
+            assert.equal(results.tagName,'reverted-project-1.0.0');
+            assert.equal(results.branch,'master');
+            assert.lengthOf(results.revertedCommits,2);
+            assert.isNull(results.resetTo);
+            assert.deepEqual(unpublished,[{name: 'reverted-project', version: '1.0.0', tagName: 'reverted-project-1.0.0'}]);
+            assert.equal(git(repo.projectPath,['log','-2','--format=%s']),
+                'Revert "[release] - releasing 1.0.0"\nRevert "[release] - updating dev version to 1.0.1-SNAPSHOT"');
+            assert.equal(fs.readJsonSync(repo.projectPath+'/package.json').version,'1.0.0-SNAPSHOT');
+            assert.isTrue(fs.existsSync(repo.projectPath+'/notes.txt'));
+            assert.equal(git(repo.projectPath,['rev-parse','HEAD']),git(repo.remotePath,['rev-parse','master']));
+            assert.equal(git(repo.projectPath,['tag']),'');
+            assert.equal(git(repo.remotePath,['tag']),'');
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(repo.cleanup);
+    });
+
+    it('reverts a published release by force-pushing the pre-release commit', function(done){
+        var repo = createGitProject('reset-project','1.0.0-SNAPSHOT'),
+            preReleaseCommit = git(repo.projectPath,['rev-parse','HEAD']);
+        Release = createTestRelease(realGit);
+        Release.perform({
+            projectPath: repo.projectPath,
+            buildPromise: function(){}
+        }).then(function(){
+            return Release.revert({
+                projectPath: repo.projectPath,
+                version: '1.0.0',
+                forcePush: true,
+                unpublish: 'echo "$RELEASE_VERSION $RELEASE_TAG" > ../unpublished.txt'
+            });
+        }).then(function(results){
+            assert.equal(results.resetTo,preReleaseCommit);
+            assert.deepEqual(results.revertedCommits,[]);
+            assert.equal(fs.readFileSync(repo.projectPath+'/../unpublished.txt','utf8'),'1.0.0 reset-project-1.0.0\n');
+            assert.equal(git(repo.projectPath,['rev-parse','HEAD']),preReleaseCommit);
+            assert.equal(git(repo.remotePath,['rev-parse','master']),preReleaseCommit);
+            assert.equal(git(repo.projectPath,['tag']),'');
+            assert.equal(git(repo.remotePath,['tag']),'');
+            done();
+        }).catch(function(error){
+            done(error);
+        }).finally(repo.cleanup);
+    });
+
+    it('keeps the package published when the revert can not be pushed', function(done){
+        var repo = createGitProject('rejected-revert-project','1.0.0-SNAPSHOT'),
+            unpublished = false,
+            headCommit;
+        Release = createTestRelease(realGit);
+        Release.perform({
+            projectPath: repo.projectPath,
+            buildPromise: function(){}
+        }).then(function(){
+            headCommit = git(repo.projectPath,['rev-parse','HEAD']);
+            rejectPushes(repo,'refs/heads/master');
+            return Release.revert({
+                projectPath: repo.projectPath,
+                version: '1.0.0',
+                unpublish: function(){
+                    unpublished = true;
+                }
+            });
+        }).then(function(){
+            done(new Error("revert should have failed"));
+        }).catch(function(error){
+            try{
+                assert.include(error.message,'Could not execute git push origin master');
+                assert.isFalse(unpublished);
+                assert.equal(git(repo.projectPath,['rev-parse','HEAD']),headCommit);
+                assert.equal(git(repo.projectPath,['tag']),'rejected-revert-project-1.0.0');
+                assert.equal(git(repo.remotePath,['tag']),'rejected-revert-project-1.0.0');
+                done();
+            }catch(e){
+                done(e);
+            }
+        }).finally(repo.cleanup);
+    });
+
+    it('refuses to revert a release followed by commits of other authors', function(done){
+        var repo = createGitProject('shared-project','1.0.0-SNAPSHOT'),
+            unpublished = false,
+            headCommit;
+        Release = createTestRelease(realGit);
+        Release.perform({
+            projectPath: repo.projectPath,
+            buildPromise: function(){}
+        }).then(function(){
+            git(repo.projectPath,['-c','user.email=other@example.com','commit','-q','--allow-empty','-m','fix: something else']);
+            git(repo.projectPath,['push','-q','origin','master']);
+            headCommit = git(repo.projectPath,['rev-parse','HEAD']);
+            return Release.revert({
+                projectPath: repo.projectPath,
+                version: '1.0.0',
+                unpublish: function(){
+                    unpublished = true;
+                }
+            });
+        }).then(function(){
+            done(new Error("revert should have failed"));
+        }).catch(function(error){
+            try{
+                assert.equal(error.code,'RELEASE_REVERT_UNSAFE');
+                assert.include(error.message,'other authors committed after the release: ' + headCommit.slice(0,7) + ' by other@example.com');
+                assert.isFalse(unpublished);
+                assert.equal(git(repo.projectPath,['rev-parse','HEAD']),headCommit);
+                assert.equal(git(repo.remotePath,['tag']),'shared-project-1.0.0');
+                done();
+            }catch(e){
+                done(e);
+            }
+        }).finally(repo.cleanup);
+    });
+
+    /* create a git project with a package.json (and optional other JSON files), cloned from a local bare repo that acts as its origin */
+    var createGitProject = function(name,version,files){
+        var dir = tmp.dirSync({unsafeCleanup: true}),
+            repo = {
+                remotePath: dir.name+'/remote.git',
+                projectPath: dir.name+'/project',
+                cleanup: function(){
+                    dir.removeCallback();
+                }
+            };
+        git(dir.name,['init','-q','--bare',repo.remotePath]);
+        git(repo.remotePath,['symbolic-ref','HEAD','refs/heads/master']);
+        git(dir.name,['clone','-q',repo.remotePath,repo.projectPath]);
+        git(repo.projectPath,['symbolic-ref','HEAD','refs/heads/master']);
+        git(repo.projectPath,['config','user.name','Test User']);
+        git(repo.projectPath,['config','user.email','test@example.com']);
+        fs.writeJsonSync(repo.projectPath+'/package.json',{name: name, version: version},{spaces: 2});
+        Object.keys(files || {}).forEach(function(file){
+            fs.outputJsonSync(repo.projectPath+'/'+file,files[file],{spaces: 2});
+        });
+        git(repo.projectPath,['add','-A']);
+        git(repo.projectPath,['commit','-q','-m','initial commit']);
+        git(repo.projectPath,['push','-q','origin','master']);
+        return repo;
+    };
+    /* wait for a process to be gone (it may take a moment to exit after being killed); zombies that are yet to be reaped count as gone */
+    var assertKilled = function(pid,attempts){
+        var statFile = '/proc/' + pid + '/stat';
+        attempts = attempts === undefined ? 20 : attempts;
+        try{
+            process.kill(pid,0);
+        }catch(e){
+            assert.equal(e.code,'ESRCH');
+            return q();
+        }
+        if(fs.existsSync(statFile) && fs.readFileSync(statFile,'utf8').replace(/^.*\) /,'')[0] === 'Z'){
+            return q();
+        }
+        assert.isAbove(attempts,0,'process ' + pid + ' is still running');
+        return q.delay(50).then(function(){
+            return assertKilled(pid,attempts-1);
+        });
+    };
+    /* make the remote of a git project reject pushes to refs (or of new values) matching a shell case pattern */
+    var rejectPushes = function(repo,pattern){
+        var hook = repo.remotePath+'/hooks/pre-receive';
+        fs.writeFileSync(hook,'#!/bin/sh\nwhile read old new ref; do\n' +
+            '    case "$ref" in ' + pattern + ') echo "rejected $ref" >&2; exit 1;; esac\n' +
+            '    case "$new" in ' + pattern + ') echo "rejected $ref" >&2; exit 1;; esac\n' +
+            'done\n');
+        fs.chmodSync(hook,'755');
+    };
+    /* start a local stand-in for a release hosting API that records requests and replies with respond(method, url, api) results */
+    var startApiServer = function(respond){
+        var api = {requests: []},
+            server = http.createServer(function(request,response){
+                var chunks = [];
+                request.on('data',function(chunk){
+                    chunks.push(chunk);
+                });
+                request.on('end',function(){
+                    var reply;
+                    api.requests.push({method: request.method, url: request.url, headers: request.headers, body: Buffer.concat(chunks).toString()});
+                    reply = respond(request.method,request.url,api) || {};
+                    response.writeHead(reply.status || 200,{'Content-Type': 'application/json'});
+                    response.end(reply.body === undefined ? '' : JSON.stringify(reply.body));
+                });
+            });
+        return q.Promise(function(resolve){
+            server.listen(0,'127.0.0.1',function(){
+                api.url = 'http://127.0.0.1:' + server.address().port;
+                api.close = function(){
+                    server.close();
+                };
+                resolve(api);
+            });
+        });
+    };
+    /* answer git commands that have no stub in gitStubs */
+    var stubGit = function(commands){
+        var stdout = '';
+        /* always respond with aaaaaaa for current commit */
+        if(commands[0] === 'rev-parse' && commands[1] === '--verify'){
+            stdout = 'aaaaaaa';
+        }
+        /* always respond with 'master' for current branch */
+        if(commands[0] === 'rev-parse' && commands[1] === '--abbrev-ref'){
+            stdout = 'master';
+        }
+        return q({stdout: stdout, stderr: ''});
+    };
+    /* record npm commands in npmlog (and their working directory in npmDirectories) and respond with stubbed failures in npmStubs */
+    var stubNpm = function(commands,workingDirectory){
+        return new q.Promise(function(resolve,reject){
+            var resolution = {stdout:'',stderr:''};
+            /* always respond with <name>-<version>.tgz for pack (and write it like npm does) */
+            if(commands[0] === 'pack'){
+                var packageJSON = fs.readJsonSync(commands[1]+'/package.json');
+                resolution.stdout = packageJSON.name+'-'+packageJSON.version+'.tgz\n';
+                fs.writeFileSync(workingDirectory+'/'+resolution.stdout.trim(),'tarball');
+            }
+            npmlog.push('npm '+commands.join(' ').replace(/\S*\/node-release-[^\/]*\//,''));
+            npmDirectories[commands[0]] = workingDirectory;
+            var stub = npmStubs[commands.join(' ').split(' --')[0]];
+            if(stub instanceof Error){
+                reject(stub);
+                return;
+            }
+            resolve(resolution);
+        });
+    };
+    /* create the release instance of a test: git commands are recorded in gitlog and answered with gitStubs or else run with
+       a git executor (stubGit by default); npm commands are stubbed (see stubNpm) */
+    var createTestRelease = function(gitExecutor){
+        var recorder = createGitRecorder({responses: gitStubs, gitExecutor: gitExecutor || stubGit});
+        gitlog = recorder.commands;
+        return releaseModule.createRelease({gitExecutor: recorder, npmExecutor: stubNpm});
+    };
+    beforeEach(function(){
+        gitStubs = {};
+        npmlog = [];
+        npmStubs = {};
+        npmDirectories = {};
+        tmpDir = tmp.dirSync();
+        Release = createTestRelease();
+    });
+    afterEach(function(){
+        if(tmpDir){
+            try{
+                fs.unlinkSync(tmpDir.name+'/package.json');
+            }catch(ignore){
+
+            }
+            try{
+                fs.unlinkSync(tmpDir.name+'/CHANGELOG.md');
             }catch(ignore){
 
             }